@@ -1,23 +1,57 @@
 // ===== Offline Support & IndexedDB Setup =====
 const DB_NAME = 'ChatAppDB';
-const DB_VERSION = 1;
-const STORE_NAME = 'chatData';
-
-// Check if we're online or offline
+const DB_VERSION = 6;
+const STORE_NAME = 'chatData'; // Key/value settings (personas, provider settings, currentChatId, ...)
+const CHATS_STORE = 'chats'; // One record per chat, indexed by timestamp and title
+const MESSAGES_STORE = 'messages'; // One record per message node, indexed by chatId
+const SEARCH_STORE = 'searchIndex'; // Per-message word lists for full-text search
+const ATTACHMENTS_STORE = 'attachments'; // Attachment blobs, indexed by chatId
+const OUTBOX_STORE = 'outbox'; // Prompts waiting to be sent, indexed by chatId
+
+// Whether the AI provider can be reached. navigator.onLine only knows about the local network
+// (it stays true behind a captive portal or when the provider is down), so going online is
+// confirmed with a probe request and failed requests trigger a new probe.
 let isOnline = navigator.onLine;
 
+const CONNECTIVITY_PROBE_TIMEOUT_MS = 5000;
+const CONNECTIVITY_RECHECK_MS = 30000;
+let connectivityTimer = null;
+let connectivityCheck = null;
+
 // Listen for online/offline events
 window.addEventListener('online', () => {
-  isOnline = true;
-  console.log('Back online');
-  updateOnlineStatus();
-  // Optionally sync any pending operations
+  console.log('Network is back, checking the provider');
+  checkConnectivity();
 });
 
 window.addEventListener('offline', () => {
-  isOnline = false;
-  console.log('Offline');
+  setOnlineStatus(false);
+});
+
+function setOnlineStatus(online) {
+  const changed = online !== isOnline;
+  isOnline = online;
   updateOnlineStatus();
+
+  clearTimeout(connectivityTimer);
+  if (!online) {
+    // No event fires when an unreachable provider comes back, so keep probing
+    connectivityTimer = setTimeout(checkConnectivity, CONNECTIVITY_RECHECK_MS);
+  }
+  if (!changed) return;
+
+  if (online) {
+    console.log('Back online');
+    // The connection is back, so queued prompts go out now rather than after their backoff
+    outboxItems.forEach(item => {
+      if (item.status === 'queued') item.nextAttemptAt = 0;
+    });
+    renderFullConversation();
+    processOutbox();
+    return;
+  }
+
+  console.log('Offline');
   // Optionally show an offline indicator to the user
   if (document.getElementById("generate")?.disabled !== true) {
     // Show user that we're offline
@@ -25,26 +59,74 @@ window.addEventListener('offline', () => {
     if (output) {
       const offlineNotice = document.createElement("div");
       offlineNotice.className = "message system offline-notice";
-      offlineNotice.innerHTML = `<strong>🌐 System:</strong><br><div class="content">You are currently offline. Chat history is available, but new messages require connection.</div>`;
+      offlineNotice.innerHTML = `<strong>🌐 System:</strong><br><div class="content">You are currently offline. Chat history is available, and new messages will be queued and sent when you reconnect.</div>`;
       output.appendChild(offlineNotice);
       output.scrollTop = output.scrollHeight;
     }
   }
-});
+}
+
+// Probe the active provider and update isOnline. Concurrent callers share one probe.
+function checkConnectivity() {
+  if (!connectivityCheck) {
+    connectivityCheck = probeConnectivity()
+      .then(reachable => setOnlineStatus(reachable))
+      .finally(() => {
+        connectivityCheck = null;
+      });
+  }
+  return connectivityCheck;
+}
+
+// Any answer from the provider's host counts, even an error status; only a failed request,
+// a timeout or the service worker's synthetic offline response mean it can't be reached
+async function probeConnectivity() {
+  if (!navigator.onLine) return false;
+
+  const url = getActiveProvider().healthCheckUrl?.();
+  if (!url) return true;
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), CONNECTIVITY_PROBE_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { method: 'HEAD', mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+    return !(await isOfflineResponse(response));
+  } catch (error) {
+    console.log('Connectivity probe failed:', error);
+    return false;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// sw.js answers failed cross-origin requests with a 503 { error: "offline" } JSON body
+async function isOfflineResponse(response) {
+  if (response.status !== 503 || !response.headers.get('Content-Type')?.includes('application/json')) {
+    return false;
+  }
+  try {
+    const data = await response.clone().json();
+    return data?.error === 'offline';
+  } catch (e) {
+    return false;
+  }
+}
 
 // Function to update UI based on online status
 function updateOnlineStatus() {
   const statusIndicator = document.getElementById('onlineStatus');
   if (statusIndicator) {
-    statusIndicator.textContent = isOnline ? '● Online' : '○ Offline';
+    // Connected to a network, but the provider did not answer the probe
+    const unreachable = !isOnline && navigator.onLine;
+    statusIndicator.textContent = isOnline ? '● Online' : unreachable ? '○ Unreachable' : '○ Offline';
+    statusIndicator.title = unreachable ? `${getActiveProvider().name} can't be reached right now` : '';
     statusIndicator.className = isOnline ? 'online-status online' : 'online-status offline';
   }
 
-  // Disable/enable the generate button based on online status
+  // Offline prompts go to the outbox, so the button stays enabled
   const generateBtn = document.getElementById("generate");
   if (generateBtn) {
-    generateBtn.disabled = !isOnline;
-    generateBtn.title = isOnline ? 'Send message' : 'Offline - connection required';
+    generateBtn.title = isOnline ? 'Send message' : 'Offline - message will be queued';
   }
 }
 
@@ -75,10 +157,11 @@ function initDB() {
     request.onsuccess = () => {
       db = request.result;
       
-      // Handle unexpected close
+      // A newer version of the app opened the database in another tab. Let its upgrade run;
+      // writes from this tab fail (and stay pending) until it is reloaded.
       db.onversionchange = () => {
         db.close();
-        alert("Database is outdated, please reload the page.");
+        promptForUpdate('database');
       };
       
       db.onerror = (event) => {
@@ -99,6 +182,43 @@ function initDB() {
       if (!upgradeDb.objectStoreNames.contains(STORE_NAME)) {
         upgradeDb.createObjectStore(STORE_NAME);
       }
+
+      // v2: normalized chats/messages stores replace the single "chatHistory" blob
+      if (event.oldVersion < 2) {
+        const chatsStore = upgradeDb.createObjectStore(CHATS_STORE, { keyPath: 'id' });
+        chatsStore.createIndex('timestamp', 'timestamp');
+        chatsStore.createIndex('title', 'title');
+
+        const messagesStore = upgradeDb.createObjectStore(MESSAGES_STORE, { keyPath: 'id' });
+        messagesStore.createIndex('chatId', 'chatId');
+      }
+
+      // v3: search index keyed by message id, with a multiEntry index over its words
+      if (event.oldVersion < 3) {
+        const searchStore = upgradeDb.createObjectStore(SEARCH_STORE, { keyPath: 'id' });
+        searchStore.createIndex('chatId', 'chatId');
+        searchStore.createIndex('tokens', 'tokens', { multiEntry: true });
+      }
+
+      // v4: files attached to prompts, stored as Blobs
+      if (event.oldVersion < 4) {
+        const attachmentsStore = upgradeDb.createObjectStore(ATTACHMENTS_STORE, { keyPath: 'id' });
+        attachmentsStore.createIndex('chatId', 'chatId');
+      }
+
+      // v5: prompts queued while offline
+      if (event.oldVersion < 5) {
+        const outboxStore = upgradeDb.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+        outboxStore.createIndex('chatId', 'chatId');
+      }
+
+      // Data migrations run once every store exists
+      if (event.oldVersion === 1) {
+        migrateChatHistoryBlob(event.target.transaction);
+      } else if (event.oldVersion >= 2 && event.oldVersion < 6) {
+        // v6: attachments are indexed by file name only, without the "[Attached: …]" label
+        backfillSearchIndex(event.target.transaction);
+      }
     };
     
     request.onblocked = () => {
@@ -148,12 +268,13 @@ async function setItem(key, value) {
       return true;
     }
 
-    return new Promise((resolve, reject) => {
+    return await withLock(WRITE_LOCK_NAME, () => new Promise((resolve, reject) => {
       const transaction = db.transaction([STORE_NAME], 'readwrite');
       const objectStore = transaction.objectStore(STORE_NAME);
       const request = objectStore.put(value, key);
 
       request.onsuccess = () => {
+        broadcastSync({ type: 'setting', key });
         resolve(true);
       };
 
@@ -163,7 +284,7 @@ async function setItem(key, value) {
         setMemoryStorage(key, value);
         resolve(false);
       };
-    });
+    }));
   } catch (error) {
     console.error(`Error setting item ${key} in IndexedDB:`, error);
     // Fallback to memory storage if IndexedDB fails
@@ -182,12 +303,13 @@ async function removeItem(key) {
       return true;
     }
 
-    return new Promise((resolve, reject) => {
+    return await withLock(WRITE_LOCK_NAME, () => new Promise((resolve, reject) => {
       const transaction = db.transaction([STORE_NAME], 'readwrite');
       const objectStore = transaction.objectStore(STORE_NAME);
       const request = objectStore.delete(key);
 
       request.onsuccess = () => {
+        broadcastSync({ type: 'setting', key });
         resolve(true);
       };
 
@@ -197,7 +319,7 @@ async function removeItem(key) {
         removeMemoryStorage(key);
         resolve(false);
       };
-    });
+    }));
   } catch (error) {
     console.error(`Error removing item ${key} from IndexedDB:`, error);
     // Fallback to memory storage if IndexedDB fails
@@ -272,160 +394,803 @@ function removeMemoryStorage(key) {
 // Initialize memory storage on startup
 initializeMemoryStorage();
 
+// ===== Record Stores (chats & messages) =====
+// Unlike the key/value helpers above, these work on object stores keyed by record id.
+// Without IndexedDB each store is kept as an { id: record } map in memory storage.
+function getFallbackStore(storeName) {
+  return getMemoryStorage(`store_${storeName}`) || {};
+}
+
+function setFallbackStore(storeName, records) {
+  setMemoryStorage(`store_${storeName}`, records);
+}
+
+// Run requests inside one transaction; resolves with the result of the request `work` returns
+function runTransaction(storeNames, mode, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = work(transaction);
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Get all records of a store, optionally only those whose indexed field equals `query`
+async function getAllRecords(storeName, indexName = null, query = null) {
+  try {
+    await initDB();
+    if (!db) {
+      const records = Object.values(getFallbackStore(storeName));
+      return indexName && query !== null
+        ? records.filter(record => record[indexName] === query)
+        : records;
+    }
+
+    return await runTransaction([storeName], 'readonly', (transaction) => {
+      const store = transaction.objectStore(storeName);
+      const source = indexName ? store.index(indexName) : store;
+      return query !== null ? source.getAll(query) : source.getAll();
+    });
+  } catch (error) {
+    console.error(`Error reading ${storeName} from IndexedDB:`, error);
+    return [];
+  }
+}
+
+async function getRecordsByIds(storeName, ids) {
+  try {
+    await initDB();
+    if (!db) {
+      const records = getFallbackStore(storeName);
+      return ids.map(id => records[id]).filter(Boolean);
+    }
+
+    const requests = [];
+    await runTransaction([storeName], 'readonly', (transaction) => {
+      const store = transaction.objectStore(storeName);
+      ids.forEach(id => requests.push(store.get(id)));
+    });
+    return requests.map(request => request.result).filter(Boolean);
+  } catch (error) {
+    console.error(`Error reading ${storeName} from IndexedDB:`, error);
+    return [];
+  }
+}
+
+// Apply clears, deletes and then puts across several stores atomically.
+// changes: [{ store, clear: bool, delete: [ids], put: [records] }]
+async function writeRecords(changes) {
+  try {
+    await initDB();
+    if (!db) {
+      changes.forEach(change => {
+        const records = change.clear ? {} : getFallbackStore(change.store);
+        (change.delete || []).forEach(id => { delete records[id]; });
+        (change.put || []).forEach(record => { records[record.id] = record; });
+        setFallbackStore(change.store, records);
+      });
+      return true;
+    }
+
+    await withLock(WRITE_LOCK_NAME, () => runTransaction(changes.map(change => change.store), 'readwrite', (transaction) => {
+      changes.forEach(change => {
+        const store = transaction.objectStore(change.store);
+        if (change.clear) store.clear();
+        (change.delete || []).forEach(id => store.delete(id));
+        (change.put || []).forEach(record => store.put(record));
+      });
+    }));
+    broadcastRecordChanges(changes);
+    return true;
+  } catch (error) {
+    console.error('Error writing records to IndexedDB:', error);
+    return false;
+  }
+}
+
+// Remove a chat together with all of its messages, their search entries and attachments
+async function deleteChatRecords(chatId) {
+  const messageIds = (await getAllRecords(MESSAGES_STORE, 'chatId', chatId)).map(msg => msg.id);
+  const attachmentIds = (await getAllRecords(ATTACHMENTS_STORE, 'chatId', chatId)).map(attachment => attachment.id);
+  const outboxIds = (await getAllRecords(OUTBOX_STORE, 'chatId', chatId)).map(item => item.id);
+  outboxItems = outboxItems.filter(item => item.chatId !== chatId);
+  return writeRecords([
+    { store: CHATS_STORE, delete: [chatId] },
+    { store: MESSAGES_STORE, delete: messageIds },
+    { store: SEARCH_STORE, delete: messageIds },
+    { store: ATTACHMENTS_STORE, delete: attachmentIds },
+    { store: OUTBOX_STORE, delete: outboxIds }
+  ]);
+}
+
+// Copy the pre-v2 "chatHistory" blob (every chat with its messages inline) into the chats
+// and messages stores. Runs inside the versionchange transaction, so it commits or fails as a whole.
+function migrateChatHistoryBlob(transaction) {
+  const dataStore = transaction.objectStore(STORE_NAME);
+  const request = dataStore.get('chatHistory');
+
+  request.onsuccess = () => {
+    if (!request.result) return;
+
+    let legacyChats = [];
+    try {
+      legacyChats = JSON.parse(request.result);
+    } catch (error) {
+      console.error('Could not parse legacy chat history, leaving it in place:', error);
+      return;
+    }
+
+    const chatsStore = transaction.objectStore(CHATS_STORE);
+    const messagesStore = transaction.objectStore(MESSAGES_STORE);
+    const searchStore = transaction.objectStore(SEARCH_STORE);
+
+    legacyChats.forEach(chat => {
+      const { messages, ...record } = normalizeChatRecord(chat);
+      chatsStore.put(toChatRecord(record));
+      messages.forEach(msg => {
+        messagesStore.put({ ...msg, chatId: chat.id });
+        searchStore.put(toSearchRecord(msg, chat.id));
+      });
+    });
+
+    dataStore.delete('chatHistory');
+    dataStore.delete('conversation');
+    console.log(`Migrated ${legacyChats.length} chats to the v2 schema`);
+  };
+}
+
+// Index every message saved before the search index existed (v2 -> v3), or again when what
+// is indexed changes
+function backfillSearchIndex(transaction) {
+  const searchStore = transaction.objectStore(SEARCH_STORE);
+  const request = transaction.objectStore(MESSAGES_STORE).openCursor();
+
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    searchStore.put(toSearchRecord(cursor.value, cursor.value.chatId));
+    cursor.continue();
+  };
+}
+
+// Same migration for browsers without IndexedDB, where the blob lives in memory storage
+function migrateFallbackChatHistory() {
+  const legacy = getMemoryStorage('chatHistory');
+  if (!legacy) return;
+
+  try {
+    const legacyChats = typeof legacy === 'string' ? JSON.parse(legacy) : legacy;
+    const chats = getFallbackStore(CHATS_STORE);
+    const messages = getFallbackStore(MESSAGES_STORE);
+    const searchRecords = getFallbackStore(SEARCH_STORE);
+
+    legacyChats.forEach(chat => {
+      const { messages: chatMessages, ...record } = normalizeChatRecord(chat);
+      chats[chat.id] = toChatRecord(record);
+      chatMessages.forEach(msg => {
+        messages[msg.id] = { ...msg, chatId: chat.id };
+        searchRecords[msg.id] = toSearchRecord(msg, chat.id);
+      });
+    });
+
+    setFallbackStore(CHATS_STORE, chats);
+    setFallbackStore(MESSAGES_STORE, messages);
+    setFallbackStore(SEARCH_STORE, searchRecords);
+    removeMemoryStorage('chatHistory');
+    removeMemoryStorage('conversation');
+  } catch (error) {
+    console.error('Could not migrate fallback chat history:', error);
+  }
+}
+
+
+// ===== Multi-tab Sync =====
+// Every open tab keeps chat records, the current chat's messages, the outbox and settings in
+// memory. After a write, the writing tab posts a summary on a BroadcastChannel and the other
+// tabs re-read what changed. Writes are serialized across tabs with a Web Lock, and each tab
+// remembers its own open chat in sessionStorage ("currentChatId" in chatData only seeds new tabs).
+const SYNC_CHANNEL_NAME = 'chat-app-sync';
+const WRITE_LOCK_NAME = 'chat-app-writes';
+const OUTBOX_LOCK_PREFIX = 'chat-app-outbox-';
+
+const syncChannel = 'BroadcastChannel' in window ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+// Changes to the open chat that arrived while a reply was streaming
+let deferredChatRefresh = false;
+
+// Run work while holding a lock shared by all tabs. Without Web Locks, or without IndexedDB
+// (each tab then has its own storage), work runs right away. With ifAvailable, work gets
+// false instead of waiting when another tab holds the lock.
+function withLock(name, work, { ifAvailable = false } = {}) {
+  if (!navigator.locks || !db) {
+    return work(true);
+  }
+  return navigator.locks.request(name, { ifAvailable }, lock => work(lock !== null));
+}
+
+function broadcastSync(message) {
+  if (!syncChannel || !db) return;
+  try {
+    syncChannel.postMessage(message);
+  } catch (error) {
+    console.warn('Could not notify other tabs:', error);
+  }
+}
+
+// Summarize a writeRecords() batch: chat records written or deleted, chats whose messages
+// changed, whether the outbox changed, and whether stores were cleared (a workspace restore)
+function broadcastRecordChanges(changes) {
+  const message = { type: 'records', reset: false, chats: [], deletedChats: [], messageChats: [], outbox: false };
+  let messagesChanged = false;
+
+  changes.forEach(change => {
+    if (change.clear) message.reset = true;
+    if (change.store === CHATS_STORE) {
+      message.chats.push(...(change.put || []));
+      message.deletedChats.push(...(change.delete || []));
+    } else if (change.store === MESSAGES_STORE) {
+      messagesChanged = messagesChanged || (change.put || []).length > 0 || (change.delete || []).length > 0;
+      message.messageChats.push(...(change.put || []).map(msg => msg.chatId));
+    } else if (change.store === OUTBOX_STORE) {
+      message.outbox = true;
+    }
+  });
+
+  // Deleted messages carry no chatId; they always come with the record of their chat
+  if (messagesChanged) {
+    message.messageChats.push(...message.chats.map(chat => chat.id));
+  }
+  message.messageChats = [...new Set(message.messageChats)];
+
+  if (message.reset || message.chats.length || message.deletedChats.length || message.messageChats.length || message.outbox) {
+    broadcastSync(message);
+  }
+}
+
+function getTabChatId() {
+  try {
+    return sessionStorage.getItem('currentChatId');
+  } catch (error) {
+    return null;
+  }
+}
+
+async function rememberCurrentChat() {
+  try {
+    sessionStorage.setItem('currentChatId', currentChatId);
+  } catch (error) {
+    // Private mode without sessionStorage: tabs then share the stored chat id
+  }
+  await setItem("currentChatId", currentChatId);
+}
+
+syncChannel?.addEventListener('message', async (e) => {
+  try {
+    if (e.data?.type === 'records') {
+      await applyRemoteRecordChanges(e.data);
+    } else if (e.data?.type === 'setting') {
+      await applyRemoteSetting(e.data.key);
+    }
+  } catch (error) {
+    console.error('Error applying changes from another tab:', error);
+  }
+});
+
+async function applyRemoteRecordChanges({ reset, chats, deletedChats, messageChats, outbox }) {
+  if (reset) {
+    await reloadFromStorage();
+    return;
+  }
+
+  // Chat records: upsert and drop, keeping the list ordered by last update
+  const deleted = new Set(deletedChats);
+  chatHistory = chatHistory.filter(chat => !deleted.has(chat.id));
+  chats.forEach(record => {
+    const index = chatHistory.findIndex(chat => chat.id === record.id);
+    if (index === -1) {
+      chatHistory.push(record);
+    } else {
+      chatHistory[index] = record;
+    }
+  });
+  chatHistory.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+
+  if (deleted.size > 0) {
+    outboxItems = outboxItems.filter(item => !deleted.has(item.chatId));
+  }
+  if (outbox) {
+    outboxItems = await getAllRecords(OUTBOX_STORE);
+    outboxItems.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  if (deleted.has(currentChatId)) {
+    // The open chat was deleted elsewhere; nothing of it is left to save
+    setConversationTree([], {});
+    if (chatHistory.length > 0) {
+      currentChatId = chatHistory[0].id;
+      await loadChatMessages(chatHistory[0]);
+      await rememberCurrentChat();
+    } else {
+      await createNewChat();
+      return;
+    }
+  } else if (messageChats.includes(currentChatId)) {
+    await refreshCurrentChatMessages();
+  }
+
+  updateChatHistoryList();
+  if (chats.some(chat => chat.id === currentChatId) || deleted.size > 0) {
+    renderPersonaSelect();
+    renderProviderSelect();
+    await renderModelDropdown();
+  }
+  renderSyncedConversation();
+  if (outbox) {
+    processOutbox();
+  }
+}
+
+// Re-read the open chat's messages, keeping this tab's unsaved changes and selected branches
+async function refreshCurrentChatMessages() {
+  // Reshaping the tree under a streaming reply would attach it to the wrong parent
+  if (activeAbortController) {
+    deferredChatRefresh = true;
+    return;
+  }
+  deferredChatRefresh = false;
+
+  const chatId = currentChatId;
+  const stored = await getAllRecords(MESSAGES_STORE, 'chatId', chatId);
+  if (chatId !== currentChatId) return;
+
+  const unsaved = messageNodes.filter(node => pendingMessageWrites.has(node.id));
+  const unsavedIds = new Set(unsaved.map(node => node.id));
+  messageNodes = [
+    ...stored.filter(node => !unsavedIds.has(node.id) && !pendingMessageDeletes.has(node.id)),
+    ...unsaved
+  ].sort((a, b) => a.id.localeCompare(b.id));
+  rebuildConversation();
+}
+
+// Called once a reply has finished streaming
+async function flushDeferredChatRefresh() {
+  if (!deferredChatRefresh) return;
+  await refreshCurrentChatMessages();
+  renderSyncedConversation();
+}
+
+function renderSyncedConversation() {
+  // Don't throw away a message that is being edited or a reply that is streaming
+  if (activeAbortController || document.querySelector('#output .message-edit-input')) return;
+  renderFullConversation();
+}
+
+async function applyRemoteSetting(key) {
+  switch (key) {
+    case 'personas':
+      await loadPersonas();
+      renderPersonaSelect();
+      break;
+    case 'providerSettings':
+      await loadProviderSettings();
+      await renderModelDropdown();
+      break;
+    case 'contextMode':
+      await loadContextMode();
+      break;
+    case 'settings':
+      await loadSettings();
+      break;
+    case 'modelRates':
+      await loadModelRates();
+      break;
+    case 'promptTemplates':
+      await loadPromptTemplates();
+      renderTemplateList();
+      break;
+    case 'debugMode':
+      window.DEBUG_MODE = new URLSearchParams(window.location.search).get('debug') === 'true' || (await getItem('debugMode')) === 'true';
+      break;
+  }
+}
+
+// Reload everything from storage so memory matches what was written
+async function reloadFromStorage() {
+  await loadSettings();
+  await initializeData();
+  await loadOutbox();
+  await loadProviderSettings();
+  await loadContextMode();
+  await loadPersonas();
+  await loadPromptTemplates();
+  await loadModelRates();
+  window.DEBUG_MODE = new URLSearchParams(window.location.search).get('debug') === 'true' || (await getItem('debugMode')) === 'true';
+
+  renderFullConversation();
+  updateChatHistoryList();
+  renderPersonaSelect();
+  renderProviderSelect();
+  await renderModelDropdown();
+}
+
 // ===== Load saved conversation if exists =====
+// `conversation` is the active path through the current chat's message tree - the
+// messages that are rendered and sent to the model. `messageNodes` holds every message
+// of the chat (all branches) and `branchSelections` remembers which child is shown
+// under each parent ("root" for the first message).
+// `chatHistory` only holds chat records (title, timestamps, settings); messages live in
+// the messages store and are loaded for the current chat only.
 let conversation = [];
+let messageNodes = [];
+let branchSelections = {};
 let chatHistory = [];
 let currentChatId = null;
 
+// Message ids added/changed or removed since the current chat was last saved
+let pendingMessageWrites = new Set();
+let pendingMessageDeletes = new Set();
+// Attachments of removed messages, deleted with them on the next save
+let pendingAttachmentDeletes = new Set();
+
 // Initialize data from IndexedDB on startup
 async function initializeData() {
   try {
     await initDB();
+    if (!db) {
+      migrateFallbackChatHistory();
+    }
 
-    // Load chat history first
-    const storedChatHistory = await getItem("chatHistory");
-    chatHistory = storedChatHistory ? JSON.parse(storedChatHistory) : [];
+    // Load chat records first, most recently updated first
+    chatHistory = await getAllRecords(CHATS_STORE);
+    chatHistory.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
 
-    // Load current chat ID
-    const storedCurrentChatId = await getItem("currentChatId");
+    // Load current chat ID: this tab's own, or the one last opened in any tab
+    const storedCurrentChatId = getTabChatId() || await getItem("currentChatId");
     currentChatId = storedCurrentChatId || null;
 
-    // Load the specific conversation for the current chat, or fallback appropriately
-    if (currentChatId) {
-      // Find the current chat in chat history
-      const currentChat = chatHistory.find(chat => chat.id === currentChatId);
-      if (currentChat) {
-        // Use the conversation from the current chat
-        conversation = currentChat.conversation || [];
-      } else {
-        // If current chat ID doesn't exist in history, reset it
-        currentChatId = null;
-      }
+    // If current chat ID doesn't exist in history, reset it
+    if (currentChatId && !getCurrentChat()) {
+      currentChatId = null;
     }
 
     // If there's no current chat ID set or current chat doesn't exist, load the first one
     if (!currentChatId && chatHistory.length > 0) {
       currentChatId = chatHistory[0].id;
-      const firstChat = chatHistory[0];
-      conversation = firstChat.conversation || [];
     }
 
-    // If there's no current chat and no chat history, create a new chat
-    if (!currentChatId) {
+    if (currentChatId) {
+      // Load the message tree of the current chat
+      await loadChatMessages(getCurrentChat());
+    } else {
+      // If there's no current chat and no chat history, create a new chat
       currentChatId = generateChatId();
-      chatHistory.push({
+      chatHistory.push(toChatRecord({
         id: currentChatId,
         title: "New Chat",
-        conversation: [],
+        ...getNewChatModel(null),
         timestamp: new Date().toISOString()
-      });
-      conversation = [];
-      await saveChatHistory();
+      }));
+      setConversationTree([], {});
+      await saveCurrentChat();
     }
   } catch (error) {
     console.error("Error initializing data from IndexedDB:", error);
     // Fallback to empty arrays if IndexedDB fails
-    conversation = [];
+    setConversationTree([], {});
     chatHistory = [];
     currentChatId = null;
   }
 }
 
-// ===== Context limit settings =====
-const MAX_USER_MSGS = 10;
-const MAX_ASSISTANT_MSGS = 10;
-const MAX_TOTAL_MSGS = 21; // 10 user + 10 assistant + 1 new user message
+// ===== Conversation Tree =====
+function generateMessageId() {
+  return 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
 
-// ===== Helper Functions for Chat History =====
-function generateChatId() {
-  return 'chat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+// Upgrade chats saved before branching (a flat `conversation` array) to a linear tree
+function normalizeChatRecord(chat) {
+  if (!Array.isArray(chat.messages)) {
+    chat.messages = treeFromConversation(chat.conversation || []);
+    chat.branchSelections = {};
+  }
+  chat.branchSelections = chat.branchSelections || {};
+  delete chat.conversation;
+  return chat;
 }
 
-async function saveChatHistory() {
-  await setItem("chatHistory", JSON.stringify(chatHistory));
-  await setItem("currentChatId", currentChatId);
+function treeFromConversation(messages) {
+  let parentId = null;
+  return messages.map(msg => {
+    const node = { ...msg, id: generateMessageId(), parentId };
+    parentId = node.id;
+    return node;
+  });
 }
 
-async function createNewChat() {
-  // Save the current conversation before creating a new one
-  if (currentChatId && conversation.length > 0) {
-    await updateCurrentChatInHistory();
-  }
+// Replace the in-memory tree. Pending writes are reset, so callers that introduce new
+// messages (imports) mark them with markAllMessagesPending().
+function setConversationTree(nodes, selections) {
+  messageNodes = [...(nodes || [])];
+  branchSelections = { ...(selections || {}) };
+  pendingMessageWrites = new Set();
+  pendingMessageDeletes = new Set();
+  pendingAttachmentDeletes = new Set();
+  releaseAttachmentUrls();
+  rebuildConversation();
+}
 
-  currentChatId = generateChatId();
-  conversation = [];
+function markAllMessagesPending() {
+  messageNodes.forEach(node => pendingMessageWrites.add(node.id));
+}
 
-  // Add the new chat to history
-  chatHistory.unshift({
-    id: currentChatId,
-    title: "New Chat",
-    conversation: [],
-    timestamp: new Date().toISOString()
+// Drop every message of the current chat (they are deleted from the store on the next save)
+function clearConversationTree() {
+  const removed = messageNodes;
+  setConversationTree([], {});
+  removed.forEach(node => {
+    pendingMessageDeletes.add(node.id);
+    getMessageAttachments(node).forEach(part => pendingAttachmentDeletes.add(part.attachmentId));
   });
+}
 
-  // Keep only the last 20 chats to prevent IndexedDB bloat
-  if (chatHistory.length > 20) {
-    chatHistory = chatHistory.slice(0, 20);
-  }
+async function loadChatMessages(chat) {
+  const nodes = chat ? await getAllRecords(MESSAGES_STORE, 'chatId', chat.id) : [];
+  setConversationTree(nodes, chat?.branchSelections);
+}
 
-  await saveChatHistory();
-  renderFullConversation();
-  updateChatHistoryList();
+function branchKey(parentId) {
+  return parentId || 'root';
 }
 
-async function updateCurrentChatInHistory() {
-  if (!currentChatId) return;
+// Children of a message in creation order (null for the top-level messages)
+function getChildMessages(parentId) {
+  return messageNodes.filter(node => (node.parentId || null) === (parentId || null));
+}
 
-  const chatIndex = chatHistory.findIndex(chat => chat.id === currentChatId);
+// Walk the tree from the root following the selected child (or the newest one) at each level
+function rebuildConversation() {
+  conversation = [];
+  let parentId = null;
 
-  if (chatIndex !== -1) {
-    // Update the existing chat
-    chatHistory[chatIndex].conversation = [...conversation];
-    chatHistory[chatIndex].timestamp = new Date().toISOString();
+  while (true) {
+    const children = getChildMessages(parentId);
+    if (children.length === 0) break;
 
-    // If it's a "New Chat" and now has content, update the title based on first message
-    if (chatHistory[chatIndex].title === "New Chat" && conversation.length > 0) {
-      const firstUserMessage = conversation.find(msg => msg.role === 'user');
-      if (firstUserMessage) {
-        chatHistory[chatIndex].title = formatChatTitle(firstUserMessage.content);
-      }
-    }
+    const selectedId = branchSelections[branchKey(parentId)];
+    const next = children.find(node => node.id === selectedId) || children[children.length - 1];
+    conversation.push(next);
+    parentId = next.id;
+  }
 
-    await saveChatHistory();
-  } else {
-    // Create new entry if it doesn't exist
-    chatHistory.unshift({
-      id: currentChatId,
-      title: conversation.length > 0 && conversation[0].content
-        ? formatChatTitle(conversation[0].content)
-        : "New Chat",
-      conversation: [...conversation],
-      timestamp: new Date().toISOString()
-    });
+  return conversation;
+}
 
-    // Keep only the last 20 chats
-    if (chatHistory.length > 20) {
-      chatHistory = chatHistory.slice(0, 20);
-    }
+// Add a message after the last one on the active path and make it the selected branch
+function appendMessage(message) {
+  const parent = conversation[conversation.length - 1];
+  const node = {
+    createdAt: new Date().toISOString(),
+    ...message,
+    id: generateMessageId(),
+    parentId: parent ? parent.id : null
+  };
 
-    await saveChatHistory();
-  }
+  messageNodes.push(node);
+  pendingMessageWrites.add(node.id);
+  branchSelections[branchKey(node.parentId)] = node.id;
+  conversation.push(node);
+  return node;
 }
 
-function formatChatTitle(content) {
-  // Get the first 30 characters of the first message and add ellipsis if needed
-  const title = content.length > 30 ? content.substring(0, 30) + "..." : content;
-  // Remove newlines and extra spaces
-  return title.replace(/\s+/g, " ").trim();
+// Add several replies to the last message on the active path at once, as siblings of each
+// other (compared models); the first becomes the selected branch. Messages are ordered by id
+// once stored, so the siblings share one id with an index suffix to keep the order given here.
+function appendSiblingMessages(messages) {
+  const parent = conversation[conversation.length - 1];
+  const baseId = generateMessageId();
+  const nodes = messages.map((message, index) => ({
+    createdAt: new Date().toISOString(),
+    ...message,
+    id: `${baseId}_${String(index).padStart(2, '0')}`,
+    parentId: parent ? parent.id : null
+  }));
+
+  nodes.forEach(node => {
+    messageNodes.push(node);
+    pendingMessageWrites.add(node.id);
+  });
+  branchSelections[branchKey(parent ? parent.id : null)] = nodes[0].id;
+  rebuildConversation();
+  return nodes;
 }
 
-async function loadChat(chatId) {
-  const chat = chatHistory.find(chat => chat.id === chatId);
+function removeMessage(messageId) {
+  const node = messageNodes.find(n => n.id === messageId);
+  if (!node) return;
 
-  if (chat) {
-    // Save the current conversation before switching
+  // Only leaf messages are removed (e.g. a prompt whose reply was stopped before any text)
+  if (getChildMessages(messageId).length > 0) return;
+
+  messageNodes = messageNodes.filter(n => n.id !== messageId);
+  pendingMessageWrites.delete(messageId);
+  pendingMessageDeletes.add(messageId);
+  getMessageAttachments(node).forEach(part => pendingAttachmentDeletes.add(part.attachmentId));
+  if (branchSelections[branchKey(node.parentId)] === messageId) {
+    delete branchSelections[branchKey(node.parentId)];
+  }
+  rebuildConversation();
+}
+
+// Make the given message part of the active path by selecting it and all its ancestors
+function selectBranch(messageId) {
+  let node = messageNodes.find(n => n.id === messageId);
+  while (node) {
+    branchSelections[branchKey(node.parentId)] = node.id;
+    node = messageNodes.find(n => n.id === node.parentId);
+  }
+  rebuildConversation();
+}
+
+// Move to the previous/next sibling of a message; returns false when there is none
+function switchBranch(messageId, offset) {
+  const node = messageNodes.find(n => n.id === messageId);
+  if (!node) return false;
+
+  const siblings = getChildMessages(node.parentId);
+  const target = siblings[siblings.indexOf(node) + offset];
+  if (!target) return false;
+
+  branchSelections[branchKey(node.parentId)] = target.id;
+  rebuildConversation();
+  return true;
+}
+
+// Cut the active path just before a message so the next appendMessage() creates a sibling of it
+function truncateConversationBefore(messageId) {
+  const index = conversation.findIndex(msg => msg.id === messageId);
+  if (index !== -1) {
+    conversation = conversation.slice(0, index);
+  }
+}
+
+// ===== Helper Functions for Chat History =====
+function generateChatId() {
+  return 'chat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+function getCurrentChat() {
+  return chatHistory.find(chat => chat.id === currentChatId) || null;
+}
+
+// Fields stored in the chats store; anything else on the in-memory record is transient
+function toChatRecord(chat) {
+  return {
+    id: chat.id,
+    title: chat.title || "New Chat",
+    createdAt: chat.createdAt || chat.timestamp || new Date().toISOString(),
+    timestamp: chat.timestamp || new Date().toISOString(),
+    provider: chat.provider || DEFAULT_PROVIDER_ID,
+    model: chat.model || null,
+    personaId: chat.personaId || null,
+    branchSelections: chat.branchSelections || {},
+    contextSynopsis: chat.contextSynopsis || null,
+    settings: chat.settings || null
+  };
+}
+
+async function saveChatRecord(chat) {
+  await writeRecords([{ store: CHATS_STORE, put: [toChatRecord(chat)] }]);
+}
+
+// Persist the current chat record plus only the messages that changed since the last save.
+// The search index is updated in the same transaction, so it never drifts from the messages.
+async function saveCurrentChat() {
+  const currentChat = getCurrentChat();
+  if (currentChat) {
+    const nodesById = new Map(messageNodes.map(node => [node.id, node]));
+    const writes = [...pendingMessageWrites]
+      .map(id => nodesById.get(id))
+      .filter(Boolean)
+      .map(node => ({ ...node, chatId: currentChat.id }));
+    const deletes = [...pendingMessageDeletes];
+    // A queued send whose prompt was taken back out of the chat still needs its files
+    const attachmentsInUse = new Set([...messageNodes, ...outboxItems]
+      .flatMap(entry => getMessageAttachments(entry).map(part => part.attachmentId)));
+    const attachmentDeletes = [...pendingAttachmentDeletes].filter(id => !attachmentsInUse.has(id));
+    pendingMessageWrites = new Set();
+    pendingMessageDeletes = new Set();
+    pendingAttachmentDeletes = new Set();
+
+    const saved = await writeRecords([
+      { store: CHATS_STORE, put: [toChatRecord(currentChat)] },
+      { store: MESSAGES_STORE, put: writes, delete: deletes },
+      { store: SEARCH_STORE, put: writes.map(node => toSearchRecord(node, currentChat.id)), delete: deletes },
+      { store: ATTACHMENTS_STORE, delete: attachmentDeletes }
+    ]);
+
+    // Retry on the next save if the write failed
+    if (!saved) {
+      writes.forEach(node => pendingMessageWrites.add(node.id));
+      deletes.forEach(id => pendingMessageDeletes.add(id));
+      attachmentDeletes.forEach(id => pendingAttachmentDeletes.add(id));
+    }
+  }
+  await rememberCurrentChat();
+}
+
+async function createNewChat(personaId = null) {
+  // Save the current conversation before creating a new one
+  if (currentChatId && conversation.length > 0) {
+    await updateCurrentChatInHistory();
+  }
+
+  // New chats start on the default model, or whichever provider and model are currently selected
+  const { provider, model } = getNewChatModel(getCurrentChat());
+
+  currentChatId = generateChatId();
+  setConversationTree([], {});
+
+  // Add the new chat to history
+  chatHistory.unshift(toChatRecord({
+    id: currentChatId,
+    title: "New Chat",
+    provider,
+    model,
+    personaId: personaId || null,
+    timestamp: new Date().toISOString()
+  }));
+  applyPersonaDefaults(chatHistory[0], getChatPersona(chatHistory[0]));
+
+  await saveCurrentChat();
+  renderFullConversation();
+  updateChatHistoryList();
+  renderPersonaSelect();
+  renderProviderSelect();
+  await renderModelDropdown();
+}
+
+async function updateCurrentChatInHistory() {
+  if (!currentChatId) return;
+
+  let currentChat = getCurrentChat();
+
+  if (!currentChat) {
+    // Create new entry if it doesn't exist
+    currentChat = toChatRecord({ id: currentChatId, title: "New Chat" });
+    chatHistory.unshift(currentChat);
+  }
+
+  currentChat.branchSelections = { ...branchSelections };
+  currentChat.timestamp = new Date().toISOString();
+
+  // If it's a "New Chat" and now has content, update the title based on first message
+  if (currentChat.title === "New Chat" && conversation.length > 0) {
+    const firstUserMessage = conversation.find(msg => msg.role === 'user');
+    if (firstUserMessage) {
+      currentChat.title = formatChatTitle(getMessageText(firstUserMessage) || describeAttachments(firstUserMessage));
+    }
+  }
+
+  await saveCurrentChat();
+}
+
+function formatChatTitle(content) {
+  // Get the first 30 characters of the first message and add ellipsis if needed
+  const title = content.length > 30 ? content.substring(0, 30) + "..." : content;
+  // Remove newlines and extra spaces
+  return title.replace(/\s+/g, " ").trim();
+}
+
+async function loadChat(chatId) {
+  const chat = chatHistory.find(chat => chat.id === chatId);
+
+  if (chat) {
+    // Save the current conversation before switching
     if (currentChatId && conversation.length > 0) {
       await updateCurrentChatInHistory();
+    } else {
+      await saveCurrentChat();
     }
 
     const sidebar = document.getElementById("sidebar");
@@ -434,33 +1199,42 @@ async function loadChat(chatId) {
     }
 
     currentChatId = chatId;
-    conversation = [...chat.conversation];
-    await saveChatHistory();
+    await loadChatMessages(chat);
+    await rememberCurrentChat();
     renderFullConversation();
     updateChatHistoryList();
+    renderPersonaSelect();
+    renderProviderSelect();
+    await renderModelDropdown();
+    processOutbox();
   }
 }
 
 async function deleteChat(chatId) {
   if (confirm("Are you sure you want to delete this chat?")) {
-    // Remove the chat from history
+    // Remove the chat and its messages
     chatHistory = chatHistory.filter(chat => chat.id !== chatId);
+    await deleteChatRecords(chatId);
 
     // If we're deleting the current chat, create a new one
     if (currentChatId === chatId) {
       if (chatHistory.length > 0) {
         // Load the first available chat
         currentChatId = chatHistory[0].id;
-        conversation = [...chatHistory[0].conversation];
+        await loadChatMessages(chatHistory[0]);
       } else {
-        // Create a completely new chat
+        // Create a completely new chat (nothing left to save from the deleted one)
+        setConversationTree([], {});
         await createNewChat();
       }
     }
 
-    await saveChatHistory();
+    await rememberCurrentChat();
     renderFullConversation();
     updateChatHistoryList();
+    renderPersonaSelect();
+    renderProviderSelect();
+    await renderModelDropdown();
   }
 }
 
@@ -478,7 +1252,7 @@ function updateChatHistoryList() {
     // Use event delegation instead
     chatItem.dataset.chatId = chat.id;
     chatItem.innerHTML = `
-      <span class="chat-title">${chat.title}</span>
+      <span class="chat-title">${escapeHtml(chat.title)}</span>
       <div class="chat-actions">
         <span class="edit-btn" data-action="edit">✎</span>
         <span class="delete-btn" data-action="delete">&times;</span>
@@ -517,11 +1291,183 @@ async function editChatName(chatId) {
 
   if (newName && newName.trim() !== '') {
     chat.title = newName.trim();
-    await saveChatHistory();
+    await saveChatRecord(chat);
     updateChatHistoryList();
   }
 }
 
+// ===== Full-Text Search =====
+// Every saved message has a record in the search index store listing its distinct words;
+// the multiEntry "tokens" index turns a word (or word prefix) into matching message ids.
+const MAX_SEARCH_RESULTS = 50;
+const MIN_SEARCH_TOKEN_LENGTH = 2;
+
+function tokenizeForSearch(text) {
+  const tokens = (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter(token => token.length >= MIN_SEARCH_TOKEN_LENGTH);
+  return [...new Set(tokens)];
+}
+
+// Text of a message without its attachments
+function getMessageText(msg) {
+  if (Array.isArray(msg.content)) {
+    return msg.content.filter(part => part.type !== 'attachment').map(part => part.text || '').join('\n');
+  }
+  return typeof msg.content === 'string' ? msg.content : String(msg.content || '');
+}
+
+function getMessageAttachments(msg) {
+  return Array.isArray(msg.content) ? msg.content.filter(part => part.type === 'attachment') : [];
+}
+
+// One-line mention of a message's attachments, e.g. "[Attached: chart.png, notes.pdf]"
+function describeAttachments(msg) {
+  const names = getMessageAttachments(msg).map(part => part.name);
+  return names.length > 0 ? `[Attached: ${names.join(', ')}]` : '';
+}
+
+// Attached files are found by name; the "[Attached: …]" label would make every message with a file match "attached"
+function toSearchRecord(msg, chatId) {
+  const fileNames = getMessageAttachments(msg).map(part => part.name);
+  return { id: msg.id, chatId, tokens: tokenizeForSearch([getMessageText(msg), ...fileNames].join(' ')) };
+}
+
+// Ids of messages containing every term (terms match word prefixes)
+async function findMatchingMessageIds(terms) {
+  let matches = null;
+
+  for (const term of terms) {
+    let ids;
+    if (db) {
+      ids = await runTransaction([SEARCH_STORE], 'readonly', (transaction) => {
+        return transaction.objectStore(SEARCH_STORE)
+          .index('tokens')
+          .getAllKeys(IDBKeyRange.bound(term, term + '\uffff'));
+      });
+    } else {
+      ids = Object.values(getFallbackStore(SEARCH_STORE))
+        .filter(record => record.tokens.some(token => token.startsWith(term)))
+        .map(record => record.id);
+    }
+
+    const termIds = new Set(ids);
+    matches = matches === null ? termIds : new Set([...matches].filter(id => termIds.has(id)));
+    if (matches.size === 0) break;
+  }
+
+  return matches || new Set();
+}
+
+async function searchChats(query) {
+  const terms = tokenizeForSearch(query);
+  if (terms.length === 0) return [];
+
+  try {
+    await initDB();
+    const ids = [...await findMatchingMessageIds(terms)];
+    const messages = await getRecordsByIds(MESSAGES_STORE, ids);
+    const chatOrder = new Map(chatHistory.map((chat, index) => [chat.id, index]));
+
+    return messages
+      .filter(msg => chatOrder.has(msg.chatId))
+      .sort((a, b) => chatOrder.get(a.chatId) - chatOrder.get(b.chatId) || a.id.localeCompare(b.id))
+      .slice(0, MAX_SEARCH_RESULTS)
+      .map(msg => ({
+        chatId: msg.chatId,
+        messageId: msg.id,
+        role: msg.role,
+        title: chatHistory[chatOrder.get(msg.chatId)].title,
+        snippet: buildSearchSnippet(getMessageText(msg), terms)
+      }));
+  } catch (error) {
+    console.error('Search failed:', error);
+    return [];
+  }
+}
+
+// Escaped excerpt around the first match with every term wrapped in <mark>
+function buildSearchSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(pos => pos !== -1);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, first - 60);
+  const end = Math.min(text.length, start + 180);
+
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+  const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+  const highlighted = excerpt
+    .split(pattern)
+    .map((piece, index) => index % 2 === 1 ? `<mark>${escapeHtml(piece)}</mark>` : escapeHtml(piece))
+    .join('');
+
+  return (start > 0 ? '…' : '') + highlighted + (end < text.length ? '…' : '');
+}
+
+function renderSearchResults(results, query) {
+  const resultsList = document.getElementById('searchResults');
+  const chatHistoryList = document.getElementById('chatHistoryList');
+  if (!resultsList || !chatHistoryList) return;
+
+  const searching = query.trim() !== '';
+  resultsList.hidden = !searching;
+  chatHistoryList.hidden = searching;
+  if (!searching) return;
+
+  if (results.length === 0) {
+    resultsList.innerHTML = '<div class="no-chats-message">No matches</div>';
+    return;
+  }
+
+  resultsList.innerHTML = results.map(result => `
+    <div class="search-result" data-chat-id="${escapeHtml(result.chatId)}" data-message-id="${escapeHtml(result.messageId)}">
+      <div class="search-result-title">${escapeHtml(result.title)}</div>
+      <div class="search-result-snippet"><span class="search-result-role">${result.role === 'user' ? 'You' : 'Claude'}:</span> ${result.snippet}</div>
+    </div>`).join('');
+}
+
+// Open the chat containing a message, switch to the branch it is on and scroll to it
+async function openSearchResult(chatId, messageId) {
+  if (chatId !== currentChatId) {
+    await loadChat(chatId);
+  }
+
+  if (!messageNodes.some(node => node.id === messageId)) return;
+
+  selectBranch(messageId);
+  await updateCurrentChatInHistory();
+  renderFullConversation();
+
+  const bubble = document.querySelector(`#output .message[data-message-id="${CSS.escape(messageId)}"]`);
+  if (bubble) {
+    bubble.scrollIntoView({ block: 'center' });
+    bubble.classList.add('search-hit');
+    setTimeout(() => bubble.classList.remove('search-hit'), 2000);
+  }
+}
+
+let searchTimeout;
+// Numbers each search so a slow one can't overwrite the results of a later query
+let searchSequence = 0;
+document.getElementById('chatSearch')?.addEventListener('input', (e) => {
+  clearTimeout(searchTimeout);
+  const query = e.target.value;
+  searchTimeout = setTimeout(async () => {
+    const sequence = ++searchSequence;
+    const results = await searchChats(query);
+    if (sequence === searchSequence) {
+      renderSearchResults(results, query);
+    }
+  }, 250);
+});
+
+document.getElementById('searchResults')?.addEventListener('click', async (e) => {
+  const result = e.target.closest('.search-result');
+  if (!result) return;
+  await openSearchResult(result.dataset.chatId, result.dataset.messageId);
+});
+
 // ===== HTML Escape Helper =====
 function escapeHtml(text) {
   if (!text) return "";
@@ -533,358 +1479,915 @@ function escapeHtml(text) {
     .replace(/'/g, "&#039;");
 }
 
-// ===== Enhanced Markdown Parser with Table Support =====
+// ===== Markdown Parser (CommonMark + GFM) =====
+// parseMarkdown() runs in three passes: the block tokenizer splits the text into a tree of
+// block tokens (paragraphs, lists, fences, tables, ...), the renderer turns that tree into
+// HTML with inline markup parsed per block, and sanitizeHtml() strips anything outside the
+// allow-list. Raw HTML in model output is never passed through; it is shown as text.
 function parseMarkdown(text) {
   if (!text) return "";
 
-  // Storage for protected content
-  const codeBlocks = [];
-  const inlineCodes = [];
-  const tables = [];
-
-  // ============================================
-  // STEP 1a: Extract and protect fenced code blocks first to avoid internal parsing
-  // ============================================
-  // Match ```lang\ncode\n``` format with a non-greedy approach - require proper opening and closing
-  text = text.replace(/(```)([a-zA-Z0-9_+\-.#]+)\s*\n([\s\S]*?)\n?(```)/g, (match, opening, lang, code, closing) => {
-    // Only process if we have a proper closing fence and a language specified
-    if (closing === '```') {
-      // Trim empty lines from start and end of code
-      const cleanCode = (code || '').replace(/^\n+|\n+$/g, '');
-      const language = lang.trim();
-
-      // Define known languages - if not in this list, don't wrap as code block
-      const knownLanguages = [
-        'javascript', 'js', 'typescript', 'ts', 'python', 'py', 'java', 'c', 'cpp',
-        'csharp', 'cs', 'php', 'html', 'css', 'json', 'xml', 'sql', 'bash', 'sh',
-        'yaml', 'yml', 'markdown', 'md', 'ruby', 'rb', 'go', 'rust', 'rs', 'swift',
-        'kotlin', 'kt', 'scala', 'perl', 'pl', 'lua', 'r', 'matlab', 'jsx', 'tsx',
-        'dart', 'erlang', 'elixir', 'haskell', 'clojure', 'fsharp', 'powershell',
-        'shell', 'dockerfile', 'makefile', 'cmake', 'nginx', 'apache', 'diff',
-        'ini', 'toml', 'graphql', 'docker', 'sql', 'vim', 'regex', 'apache', 'nginx',
-        'armasm', 'avrasm', 'actionscript', 'ada', 'apache', 'applescript', 'arduino',
-        'coffeescript', 'd', 'delphi', 'oxygene', 'elixir', 'elm', 'erlang', 'fsharp',
-        'gcode', 'golang', 'groovy', 'haml', 'handlebars', 'haskell', 'haxe', 'java',
-        'javascript', 'json', 'julia', 'kotlin', 'latex', 'less', 'lisp', 'livescript',
-        'lua', 'makefile', 'markdown', 'matlab', 'mathematica', 'nginx', 'objectivec',
-        'ocaml', 'perl', 'php', 'powershell', 'python', 'r', 'ruby', 'rust', 'scala',
-        'scheme', 'scss', 'shell', 'sql', 'swift', 'tcl', 'typescript', 'verilog',
-        'vhdl', 'xml', 'yaml', 'text', 'txt', 'plain'
-      ];
-
-      // Only create code block if language is specified AND is a known language
-      if (language && knownLanguages.includes(language.toLowerCase())) {
-        const placeholder = `__CODEBLOCK_${codeBlocks.length}__`;
-        codeBlocks.push({
-          language: language.toLowerCase(),
-          code: cleanCode
-        });
-        return placeholder;
-      } else {
-        // If language is not known or not specified, don't wrap as a code block - return original text
-        return match;
-      }
+  const refs = {};
+  const blocks = tokenizeMarkdownBlocks(text.replace(/\r\n?/g, '\n').split('\n'), refs);
+  return sanitizeHtml(renderMarkdownBlocks(blocks, refs));
+}
+
+// ===== Markdown: Block Tokenizer =====
+const BLOCK_PATTERNS = {
+  fence: /^( {0,3})(`{3,}|~{3,})(.*)$/,
+  atxHeading: /^ {0,3}(#{1,6})(?:[ \t]+|$)(.*?)(?:[ \t]+#+)?[ \t]*$/,
+  setextUnderline: /^ {0,3}(=+|-+)[ \t]*$/,
+  thematicBreak: /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/,
+  blockquote: /^ {0,3}> ?/,
+  listItem: /^( {0,3})([*+-]|\d{1,9}[.)])([ \t]+|$)(.*)$/,
+  tableDelimiter: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+  refDefinition: /^ {0,3}\[((?:[^\]\\]|\\.){1,999})\]:[ \t]*(<[^>\n]*>|\S+)(?:[ \t]+("[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*$/,
+  displayMath: /^ {0,3}(\$\$|\\\[)(.*)$/,
+  indentedCode: /^(?: {4}|\t)/
+};
+
+function isBlankLine(line) {
+  return /^[ \t]*$/.test(line);
+}
+
+// Expand leading tabs to 4-column stops so indentation can be measured in spaces
+function expandLeadingTabs(line) {
+  const match = /^[ \t]+/.exec(line);
+  if (!match || !match[0].includes('\t')) return line;
+
+  let column = 0;
+  for (const char of match[0]) {
+    column = char === '\t' ? column + 4 - (column % 4) : column + 1;
+  }
+  return ' '.repeat(column) + line.slice(match[0].length);
+}
+
+function parseListMarker(line) {
+  const match = BLOCK_PATTERNS.listItem.exec(line);
+  if (!match) return null;
+
+  const [, indent, marker, spacing, rest] = match;
+  const ordered = /\d/.test(marker);
+  // More than four spaces after the marker means the content is indented code: count just one
+  const gap = rest === '' ? 1 : (spacing.length > 4 ? 1 : spacing.length);
+
+  return {
+    ordered,
+    bullet: ordered ? marker.slice(-1) : marker,
+    start: ordered ? parseInt(marker, 10) : null,
+    contentIndent: indent.length + marker.length + gap,
+    firstLine: (spacing.length > 4 ? ' '.repeat(spacing.length - 1) : '') + rest,
+    empty: rest.trim() === ''
+  };
+}
+
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  // GFM splits on every unescaped pipe, including those inside code spans
+  const cells = [];
+  let cell = '';
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
     }
-    // If no proper closing, return the original match
-    return match;
-  });
+  }
+  cells.push(cell.trim());
+  return cells;
+}
 
-  // ============================================
-  // STEP 1b: Extract and protect plain code blocks (no language specified) as plaintext
-  // ============================================
-  // Match ```\ncode\n``` format (no language specified) - treat these as plaintext code blocks
-  text = text.replace(/(```)\s*\n?([\s\S]*?)\n?(```)/g, (match, opening, code, closing) => {
-    if (closing === '```') {
-      // Trim empty lines from start and end of code
-      const cleanCode = (code || '').replace(/^\n+|\n+$/g, '');
-      const language = "plaintext"; // Always use plaintext for blocks without language
-
-      const placeholder = `__CODEBLOCK_${codeBlocks.length}__`;
-      codeBlocks.push({
-        language: language,
-        code: cleanCode
-      });
-      return placeholder;
+function isTableStart(lines, index) {
+  const header = lines[index];
+  const delimiter = lines[index + 1];
+  if (delimiter === undefined || !header.includes('|') || !BLOCK_PATTERNS.tableDelimiter.test(delimiter)) return false;
+  return splitTableRow(header).length === splitTableRow(delimiter).length;
+}
+
+// Whether a line starts a block that may interrupt a paragraph
+function startsBlock(lines, index) {
+  const line = lines[index];
+  if (BLOCK_PATTERNS.fence.test(line) && !/^ {0,3}`{3,}.*`/.test(line)) return true;
+  if (BLOCK_PATTERNS.displayMath.test(line)) return true;
+  if (BLOCK_PATTERNS.atxHeading.test(line) || BLOCK_PATTERNS.thematicBreak.test(line) || BLOCK_PATTERNS.blockquote.test(line)) return true;
+
+  const marker = parseListMarker(line);
+  if (marker && !marker.empty && (!marker.ordered || marker.start === 1)) return true;
+
+  return isTableStart(lines, index);
+}
+
+// Turn lines into block tokens. Each token records whether a blank line preceded it,
+// which decides whether the list it belongs to is loose (paragraphs) or tight.
+function tokenizeMarkdownBlocks(lines, refs) {
+  const blocks = [];
+  let i = 0;
+  let precededByBlank = false;
+
+  const push = (token) => {
+    token.precededByBlank = precededByBlank && blocks.length > 0;
+    precededByBlank = false;
+    blocks.push(token);
+  };
+
+  while (i < lines.length) {
+    const line = expandLeadingTabs(lines[i]);
+
+    if (isBlankLine(line)) {
+      precededByBlank = true;
+      i++;
+      continue;
     }
-    // If no proper closing, return the original match
-    return match;
-  });
 
-  // ============================================
-  // STEP 1c: Extract and protect inline code before other parsing to avoid conflicts
-  // ============================================
-  // Match inline code with backticks that are NOT inside already protected code blocks
-  text = text.replace(/(?<!`)`([^`\n]+?)`(?!`)/g, (match, code) => {
-    const placeholder = `__INLINECODE_${inlineCodes.length}__`;
-    inlineCodes.push(code);
-    return placeholder;
-  });
+    // Fenced code; an unclosed fence runs to the end of the text (as while a reply streams)
+    const fence = BLOCK_PATTERNS.fence.exec(line);
+    if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+      const [, indent, marker, info] = fence;
+      const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+      const code = [];
+      let closed = false;
+      i++;
+      while (i < lines.length) {
+        if (closing.test(lines[i])) {
+          closed = true;
+          i++;
+          break;
+        }
+        code.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+        i++;
+      }
+      push({ type: 'code', lang: info.trim().split(/\s+/)[0] || '', text: code.join('\n'), closed });
+      continue;
+    }
+
+    // Display math between $$ ... $$ or \[ ... \]; like a fence, an unclosed block runs to the end
+    const displayMath = BLOCK_PATTERNS.displayMath.exec(line);
+    if (displayMath) {
+      const closer = displayMath[1] === '$$' ? '$$' : '\\]';
+      const tex = [];
+      let rest = displayMath[2];
+      let closed = false;
+      i++;
+      while (true) {
+        const end = rest.indexOf(closer);
+        if (end !== -1) {
+          tex.push(rest.slice(0, end));
+          closed = true;
+          rest = rest.slice(end + closer.length);
+          break;
+        }
+        tex.push(rest);
+        if (i >= lines.length) break;
+        rest = lines[i++];
+      }
+      push({ type: 'math', tex: tex.join('\n').trim(), closed });
+      // Text after the closing delimiter on the same line is kept as its own paragraph
+      if (closed && !isBlankLine(rest)) {
+        push({ type: 'paragraph', text: rest.trim() });
+      }
+      continue;
+    }
 
-  // ============================================
-  // STEP 2: Extract and protect tables
-  // ============================================
-  // Match markdown tables (lines starting and ending with |)
-  const tableRegex = /((?:^\s*\|.*\|\s*$\n?)+)/gm;
-  text = text.replace(tableRegex, (match) => {
-    const lines = match.trim().split('\n').filter(line => line.trim());
+    const heading = BLOCK_PATTERNS.atxHeading.exec(line);
+    if (heading) {
+      push({ type: 'heading', level: heading[1].length, text: heading[2].trim() });
+      i++;
+      continue;
+    }
 
-    if (lines.length < 2) return match;
+    if (BLOCK_PATTERNS.thematicBreak.test(line)) {
+      push({ type: 'hr' });
+      i++;
+      continue;
+    }
 
-    // Check if this is actually a table (has separator line with dashes/colons)
-    const hasSeparator = lines.some(line => /^\s*\|[\s\-:|]+\|\s*$/.test(line.trim()));
-    if (!hasSeparator) return match;
+    if (BLOCK_PATTERNS.blockquote.test(line)) {
+      const quoted = [];
+      while (i < lines.length) {
+        const current = expandLeadingTabs(lines[i]);
+        if (BLOCK_PATTERNS.blockquote.test(current)) {
+          quoted.push(current.replace(BLOCK_PATTERNS.blockquote, ''));
+        } else if (!isBlankLine(current) && quoted.length > 0 && !isBlankLine(quoted[quoted.length - 1]) && !startsBlock(lines, i)) {
+          // Lazy continuation of a quoted paragraph
+          quoted.push(current);
+        } else {
+          break;
+        }
+        i++;
+      }
+      push({ type: 'blockquote', children: tokenizeMarkdownBlocks(quoted, refs) });
+      continue;
+    }
 
-    const placeholder = `__TABLE_${tables.length}__`;
-    tables.push(lines);
-    return placeholder;
-  });
+    const marker = parseListMarker(line);
+    if (marker) {
+      const list = { type: 'list', ordered: marker.ordered, start: marker.start, bullet: marker.bullet, loose: false, items: [] };
+      push(list);
+
+      let itemMarker = marker;
+      let itemPrecededByBlank = false;
+      while (itemMarker) {
+        const itemLines = [itemMarker.firstLine];
+        i++;
+
+        while (i < lines.length) {
+          const current = expandLeadingTabs(lines[i]);
+          const indent = current.length - current.trimStart().length;
+          if (isBlankLine(current)) {
+            itemLines.push('');
+          } else if (indent >= itemMarker.contentIndent) {
+            itemLines.push(current.slice(itemMarker.contentIndent));
+          } else if (!isBlankLine(itemLines[itemLines.length - 1]) && !startsBlock(lines, i) && !parseListMarker(current)) {
+            itemLines.push(current.trimStart());
+          } else {
+            break;
+          }
+          i++;
+        }
 
-  // ============================================
-  // STEP 3: Extract and protect any remaining inline code (improved)
-  // ============================================
-  // Match inline code with backticks (more robust) - this handles any that weren't caught earlier
-  text = text.replace(/(`+)([^`]+?)\1(?!`)/g, (match, ticks, code) => {
-    if (ticks.length % 2 === 1) { // Only odd number of backticks count as inline code
-      const placeholder = `__INLINECODE_${inlineCodes.length}__`;
-      inlineCodes.push(code);
-      return placeholder;
-    }
-    return match; // Return original if it's an even number (escaped)
-  });
+        // Trailing blank lines separate this item from the next rather than belonging to it
+        let trailingBlanks = 0;
+        while (itemLines.length > 1 && isBlankLine(itemLines[itemLines.length - 1])) {
+          itemLines.pop();
+          trailingBlanks++;
+        }
 
-  // ============================================
-  // STEP 4: Now escape HTML in remaining text
-  // ============================================
-  let html = escapeHtml(text);
+        let task = null;
+        const taskMatch = /^\[([ xX])\](?:[ \t]+|$)/.exec(itemLines[0]);
+        if (taskMatch) {
+          task = taskMatch[1] !== ' ';
+          itemLines[0] = itemLines[0].slice(taskMatch[0].length);
+        }
 
-  // ============================================
-  // STEP 5: Apply markdown formatting
-  // ============================================
+        const children = tokenizeMarkdownBlocks(itemLines, refs);
+        list.items.push({ task, children });
+        if (itemPrecededByBlank || children.some(child => child.precededByBlank)) {
+          list.loose = true;
+        }
 
-  // Headers (# to ######) - must be at start of line, with flexible spacing after hash
-  html = html.replace(/^######\s+(.+)$/gm, "<h6>$1</h6>");
-  html = html.replace(/^#####\s+(.+)$/gm, "<h5>$1</h5>");
-  html = html.replace(/^####\s+(.+)$/gm, "<h4>$1</h4>");
-  html = html.replace(/^###\s+(.+)$/gm, "<h3>$1</h3>");
-  html = html.replace(/^##\s+(.+)$/gm, "<h2>$1</h2>");
-  html = html.replace(/^#\s+(.+)$/gm, "<h1>$1</h1>");
+        const next = i < lines.length ? parseListMarker(expandLeadingTabs(lines[i])) : null;
+        const sameList = next && next.ordered === list.ordered && next.bullet === list.bullet
+          && !BLOCK_PATTERNS.thematicBreak.test(lines[i]);
+        itemMarker = sameList ? next : null;
+        itemPrecededByBlank = trailingBlanks > 0;
+      }
 
-  // Horizontal rules (---, ***, ___) - must be on a line by itself
-  html = html.replace(/^\s*(-{3,}|\*{3,}|_{3,})\s*$/gm, "<hr>");
+      precededByBlank = itemPrecededByBlank;
+      continue;
+    }
 
-  // Blockquotes (> text) - escaped as &gt;
-  html = html.replace(/^&gt;\s?(.+)$/gm, "<blockquote>$1</blockquote>");
+    if (isTableStart(lines, i)) {
+      const align = splitTableRow(lines[i + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        return left ? 'left' : null;
+      });
+      const header = splitTableRow(lines[i]);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && !isBlankLine(lines[i]) && !startsBlock(lines, i)) {
+        const cells = splitTableRow(lines[i]);
+        rows.push(header.map((_, column) => cells[column] ?? ''));
+        i++;
+      }
+      push({ type: 'table', align, header, rows });
+      continue;
+    }
 
-  // Unordered lists (- item, * item, + item)
-  html = html.replace(/^[\-+*]\s+(.+)$/gm, "<li>$1</li>");
+    if (BLOCK_PATTERNS.indentedCode.test(line)) {
+      const code = [];
+      while (i < lines.length && (BLOCK_PATTERNS.indentedCode.test(expandLeadingTabs(lines[i])) || isBlankLine(lines[i]))) {
+        code.push(expandLeadingTabs(lines[i]).replace(/^ {1,4}/, ''));
+        i++;
+      }
+      while (code.length > 0 && isBlankLine(code[code.length - 1])) code.pop();
+      push({ type: 'code', lang: '', text: code.join('\n'), closed: true });
+      continue;
+    }
 
-  // Ordered lists (1. item)
-  html = html.replace(/^\d+\.\s+(.+)$/gm, "<li>$1</li>");
+    // Paragraph, possibly turned into a setext heading by an underline
+    const paragraph = [line.trim()];
+    let setextLevel = 0;
+    i++;
+    while (i < lines.length && !isBlankLine(lines[i])) {
+      const underline = BLOCK_PATTERNS.setextUnderline.exec(lines[i]);
+      if (underline) {
+        setextLevel = underline[1][0] === '=' ? 1 : 2;
+        i++;
+        break;
+      }
+      if (startsBlock(lines, i)) break;
+      paragraph.push(lines[i].trim());
+      i++;
+    }
 
-  // Wrap consecutive <li> in <ul> or <ol>
-  html = html.replace(/(<li>.*<\/li>\n?)+/g, (match) => {
-    // Check if it contains ordered list pattern
-    if (/\d+\.\s/.test(match)) {
-      return `<ol>${match}</ol>`;
-    } else {
-      return `<ul>${match}</ul>`;
+    // Link reference definitions at the start of a paragraph are collected, not rendered
+    while (!setextLevel && paragraph.length > 0) {
+      const definition = BLOCK_PATTERNS.refDefinition.exec(paragraph[0]);
+      if (!definition) break;
+      const label = normalizeReferenceLabel(definition[1]);
+      if (!refs[label]) {
+        refs[label] = {
+          href: definition[2].replace(/^<|>$/g, ''),
+          title: definition[3] ? definition[3].slice(1, -1) : null
+        };
+      }
+      paragraph.shift();
     }
-  });
+    if (paragraph.length === 0) continue;
 
-  // Bold (**text** or __text__)
-  html = html.replace(/\*\*([^*]+?)\*\*/g, "<strong>$1</strong>");
-
-  // Italic (*text* or _text_)
-  html = html.replace(/(?<!\*)\*([^\*\n]+?)\*(?!\*)/g, "<em>$1</em>");
-  html = html.replace(/(?<!_)_([^\_\n]+?)_(?!_)/g, "<em>$1</em>");
-
-  // Strikethrough (~~text~~)
-  html = html.replace(/~~([^~]+?)~~/g, "<del>$1</del>");
-
-  // Links [text](url)
-  html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g,
-    '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
-
-  // Images ![alt](url)
-  html = html.replace(/!\[([^\]]*)\]\(([^)]+)\)/g,
-    '<img src="$2" alt="$1" loading="lazy">');
-
-  // Convert newlines to <br> tags, but preserve paragraph structure
-  html = html.replace(/\n\n/g, "</p><p>")
-             .replace(/\n/g, "<br>");
-  html = `<p>${html}</p>`
-             .replace(/<\/p><p>\s*<p>/g, '</p><p>') // Clean up double paragraph tags
-             .replace(/<p>\s*<\/p>/g, ''); // Remove empty paragraphs
-
-  // ============================================
-  // STEP 6: Restore protected content in the correct order
-  // ============================================
-  // First restore inline codes
-  for (let i = 0; i < inlineCodes.length; i++) {
-    const escaped = escapeHtml(inlineCodes[i]);
-    html = html.replace(
-      new RegExp(`__INLINECODE_${i}__`, 'g'),
-      `<code class="inline-code">${escaped}</code>`
-    );
-  }
-
-  // Then restore tables
-  for (let i = 0; i < tables.length; i++) {
-    const tableHtml = parseTable(tables[i], inlineCodes);
-    html = html.replace(new RegExp(`__TABLE_${i}__`, 'g'), tableHtml);
-  }
-
-  // Finally restore code blocks - these contain escaped HTML content
-  for (let i = 0; i < codeBlocks.length; i++) {
-    const block = codeBlocks[i];
-    const escaped = escapeHtml(block.code);
-    const langClass = `language-${block.language}`;
-    const langDisplay = block.language === "plaintext" ? "text" : block.language;
-
-    const codeHtml = `
-      <div class="code-block-wrapper">
-        <div class="code-header">
-          <span class="code-language">${escapeHtml(langDisplay)}</span>
-          <button class="copy-btn" onclick="copyCode(this)" title="Copy code">
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-              <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-            </svg>
-            <span>Copy</span>
-          </button>
-        </div>
-        <pre class="code-block"><code class="${langClass}">${escaped}</code></pre>
-      </div>`;
+    push(setextLevel
+      ? { type: 'heading', level: setextLevel, text: paragraph.join('\n') }
+      : { type: 'paragraph', text: paragraph.join('\n') });
+  }
+
+  return blocks;
+}
 
-    html = html.replace(new RegExp(`__CODEBLOCK_${i}__`, 'g'), codeHtml);
+function normalizeReferenceLabel(label) {
+  return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// ===== Markdown: Inline Parser =====
+const ASCII_PUNCTUATION = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const UNICODE_PUNCTUATION = /[\p{P}\p{S}]/u;
+const UNICODE_WHITESPACE = /\s/;
+
+// Find the end of a [link text] starting at `start`, honouring nesting, escapes and code spans
+function findClosingBracket(src, start) {
+  let depth = 0;
+  for (let i = start; i < src.length; i++) {
+    const char = src[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '`') {
+      const run = /^`+/.exec(src.slice(i))[0];
+      const close = src.indexOf(run, i + run.length);
+      if (close !== -1) i = close + run.length - 1;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
   }
+  return -1;
+}
 
-  // Clean up extra <br> tags around block elements
-  html = html.replace(/<br>\n?<(div|table|ul|ol|blockquote|h[1-6]|hr|pre)/g, '<$1');
-  html = html.replace(/<\/(div|table|ul|ol|blockquote|h[1-6]|pre)><br>/g, '</$1>');
+// Parse "(destination "title")" right after a link's closing bracket
+function parseInlineLinkTarget(src, start) {
+  if (src[start] !== '(') return null;
+  let i = start + 1;
+  while (/[ \t\n]/.test(src[i] || '')) i++;
+
+  let href = '';
+  if (src[i] === '<') {
+    const close = src.indexOf('>', i);
+    if (close === -1 || src.slice(i, close).includes('\n')) return null;
+    href = src.slice(i + 1, close);
+    i = close + 1;
+  } else {
+    let depth = 0;
+    const hrefStart = i;
+    while (i < src.length && !/[\s\x00-\x1f]/.test(src[i])) {
+      if (src[i] === '\\' && ASCII_PUNCTUATION.test(src[i + 1] || '')) {
+        i += 2;
+        continue;
+      }
+      if (src[i] === '(') depth++;
+      if (src[i] === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+      i++;
+    }
+    href = src.slice(hrefStart, i).replace(/\\([!-/:-@[-`{-~])/g, '$1');
+  }
 
-  // Final cleanup
-  html = html.replace(/<br><\/p>/g, '</p>')
-             .replace(/<p><br>/g, '<p>');
+  while (/[ \t\n]/.test(src[i] || '')) i++;
+
+  let title = null;
+  const quote = src[i];
+  if (quote === '"' || quote === "'" || quote === '(') {
+    const closeChar = quote === '(' ? ')' : quote;
+    const close = src.indexOf(closeChar, i + 1);
+    if (close === -1) return null;
+    title = src.slice(i + 1, close);
+    i = close + 1;
+    while (/[ \t\n]/.test(src[i] || '')) i++;
+  }
 
-  return html;
+  if (src[i] !== ')') return null;
+  return { href, title, end: i + 1 };
 }
 
-// ===== Table Parser =====
-function parseTable(lines, inlineCodes) {
-  if (lines.length < 2) return '';
+function classifyDelimiterRun(src, start, length) {
+  const before = start > 0 ? src[start - 1] : ' ';
+  const after = start + length < src.length ? src[start + length] : ' ';
+  const beforeSpace = UNICODE_WHITESPACE.test(before);
+  const afterSpace = UNICODE_WHITESPACE.test(after);
+  const beforePunct = UNICODE_PUNCTUATION.test(before);
+  const afterPunct = UNICODE_PUNCTUATION.test(after);
+
+  const leftFlanking = !afterSpace && (!afterPunct || beforeSpace || beforePunct);
+  const rightFlanking = !beforeSpace && (!beforePunct || afterSpace || afterPunct);
+
+  if (src[start] === '_') {
+    return {
+      canOpen: leftFlanking && (!rightFlanking || beforePunct),
+      canClose: rightFlanking && (!leftFlanking || afterPunct)
+    };
+  }
+  return { canOpen: leftFlanking, canClose: rightFlanking };
+}
 
-  let separatorIndex = -1;
-  for (let i = 0; i < lines.length; i++) {
-    if (/^\|[\s\-:|]+\|$/.test(lines[i].trim())) {
-      separatorIndex = i;
+// GFM extended autolinks: www., http:// and https:// without angle brackets
+function matchBareUrl(src, start) {
+  const before = start > 0 ? src[start - 1] : ' ';
+  if (!/[\s*_~(]/.test(before)) return null;
+
+  const match = /^(?:https?:\/\/|www\.)[^\s<]*/i.exec(src.slice(start));
+  if (!match) return null;
+
+  let url = match[0];
+  // Trailing punctuation and unbalanced closing parens are not part of the link
+  while (url.length > 0) {
+    const last = url[url.length - 1];
+    if (/[?!.,:*_~'"]/.test(last)) {
+      url = url.slice(0, -1);
+    } else if (last === ')' && (url.match(/\)/g) || []).length > (url.match(/\(/g) || []).length) {
+      url = url.slice(0, -1);
+    } else {
       break;
     }
   }
+  if (!/^(https?:\/\/|www\.)[^./]+\.[^\s]/i.test(url) && !/^https?:\/\/[^\s/]+/i.test(url)) return null;
+  return url;
+}
+
+function renderLink(href, title, innerHtml) {
+  const safeHref = sanitizeUrl(href);
+  if (safeHref === null) return innerHtml;
+  const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+  return `<a href="${escapeHtml(safeHref)}"${titleAttr} target="_blank" rel="noopener noreferrer">${innerHtml}</a>`;
+}
 
-  if (separatorIndex === -1) return lines.join('\n');
+function renderImage(src, title, alt) {
+  const safeSrc = sanitizeUrl(src, { image: true });
+  if (safeSrc === null) return escapeHtml(alt);
+  const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+  return `<img src="${escapeHtml(safeSrc)}" alt="${escapeHtml(alt)}"${titleAttr} loading="lazy">`;
+}
 
-  const separatorCells = lines[separatorIndex]
-    .split('|')
-    .filter(cell => cell.trim() !== '');
+// Plain text of inline markup, used for image alt text
+function stripInlineMarkup(html) {
+  return html.replace(/<[^>]*>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#039;/g, "'").replace(/&amp;/g, '&');
+}
 
-  const alignments = separatorCells.map(cell => {
-    const trimmed = cell.trim();
-    const leftColon = trimmed.startsWith(':');
-    const rightColon = trimmed.endsWith(':');
+// Inline text to HTML. Text is collected into nodes first so emphasis can be matched with
+// the CommonMark delimiter algorithm once every *, _ and ~ run is known.
+function parseInlineMarkdown(src, refs = {}) {
+  const nodes = [];
+  let text = '';
+  let i = 0;
 
-    if (leftColon && rightColon) return 'center';
-    if (rightColon) return 'right';
-    if (leftColon) return 'left';
-    return 'left';
-  });
+  const flushText = () => {
+    if (text) nodes.push({ type: 'text', value: text });
+    text = '';
+  };
+  const pushHtml = (html) => {
+    flushText();
+    nodes.push({ type: 'html', value: html });
+  };
 
-  const headerRows = lines.slice(0, separatorIndex);
-  const bodyRows = lines.slice(separatorIndex + 1);
+  while (i < src.length) {
+    const char = src[i];
 
-  let tableHtml = '<div class="table-wrapper"><table>';
+    if (char === '\\' && (src[i + 1] === '(' || src[i + 1] === '[')) {
+      const closer = src[i + 1] === '(' ? '\\)' : '\\]';
+      const close = src.indexOf(closer, i + 2);
+      if (close !== -1) {
+        pushHtml(renderMathPlaceholder(src.slice(i + 2, close), { display: closer === '\\]' }));
+        i = close + 2;
+        continue;
+      }
+    }
 
-  if (headerRows.length > 0) {
-    tableHtml += '<thead>';
-    headerRows.forEach(row => {
-      tableHtml += '<tr>';
-      const cells = row.split('|').filter((cell, idx, arr) => {
-        return !(idx === 0 && cell.trim() === '') &&
-               !(idx === arr.length - 1 && cell.trim() === '');
-      });
+    if (char === '$') {
+      const math = matchInlineMath(src, i);
+      if (math) {
+        pushHtml(renderMathPlaceholder(math.tex, { display: math.display }));
+        i = math.end;
+        continue;
+      }
+    }
 
-      cells.forEach((cell, idx) => {
-        const align = alignments[idx] || 'left';
-        // Process markdown within each cell's content (instead of just escaping HTML)
-        const cellContent = parseInlineMarkdown(escapeHtml(cell.trim()), inlineCodes);
-        tableHtml += `<th style="text-align: ${align}">${cellContent}</th>`;
-      });
-      tableHtml += '</tr>';
-    });
-    tableHtml += '</thead>';
-  }
+    if (char === '\\') {
+      if (src[i + 1] === '\n') {
+        pushHtml('<br>');
+        i += 2;
+      } else if (ASCII_PUNCTUATION.test(src[i + 1] || '')) {
+        text += src[i + 1];
+        i += 2;
+      } else {
+        text += char;
+        i++;
+      }
+      continue;
+    }
 
-  if (bodyRows.length > 0) {
-    tableHtml += '<tbody>';
-    bodyRows.forEach(row => {
-      if (!row.trim()) return;
+    if (char === '`') {
+      const run = /^`+/.exec(src.slice(i))[0];
+      let close = src.indexOf(run, i + run.length);
+      // The closing run must be exactly as long as the opening one
+      while (close !== -1 && (src[close + run.length] === '`' || src[close - 1] === '`')) {
+        close = src.indexOf(run, close + 1);
+      }
+      if (close === -1) {
+        text += run;
+        i += run.length;
+        continue;
+      }
+      let code = src.slice(i + run.length, close).replace(/\n/g, ' ');
+      if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+      pushHtml(`<code class="inline-code">${escapeHtml(code)}</code>`);
+      i = close + run.length;
+      continue;
+    }
 
-      tableHtml += '<tr>';
-      const cells = row.split('|').filter((cell, idx, arr) => {
-        return !(idx === 0 && cell.trim() === '') &&
-               !(idx === arr.length - 1 && cell.trim() === '');
-      });
+    if (char === '[' || (char === '!' && src[i + 1] === '[')) {
+      const isImage = char === '!';
+      const open = isImage ? i + 1 : i;
+      const close = findClosingBracket(src, open);
+      if (close !== -1) {
+        const label = src.slice(open + 1, close);
+        let target = parseInlineLinkTarget(src, close + 1);
+        let end = target?.end;
+
+        // Reference links: [text][label], [label][] and [label]
+        if (!target) {
+          const refMatch = /^\[((?:[^\]\\]|\\.)*)\]/.exec(src.slice(close + 1));
+          const refLabel = normalizeReferenceLabel(refMatch && refMatch[1] ? refMatch[1] : label);
+          if (refs[refLabel]) {
+            target = refs[refLabel];
+            end = close + 1 + (refMatch ? refMatch[0].length : 0);
+          }
+        }
 
-      cells.forEach((cell, idx) => {
-        const align = alignments[idx] || 'left';
-        // Process markdown within each cell's content (instead of just escaping HTML)
-        const cellContent = parseInlineMarkdown(escapeHtml(cell.trim()), inlineCodes);
-        tableHtml += `<td style="text-align: ${align}">${cellContent}</td>`;
-      });
-      tableHtml += '</tr>';
-    });
-    tableHtml += '</tbody>';
-  }
+        if (target) {
+          const inner = parseInlineMarkdown(label, refs);
+          pushHtml(isImage ? renderImage(target.href, target.title, stripInlineMarkup(inner)) : renderLink(target.href, target.title, inner));
+          i = end;
+          continue;
+        }
+      }
+      text += char;
+      i++;
+      continue;
+    }
 
-  tableHtml += '</table></div>';
+    if (char === '<') {
+      const autolink = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/.exec(src.slice(i));
+      const email = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/.exec(src.slice(i));
+      if (autolink || email) {
+        const address = (autolink || email)[1];
+        pushHtml(renderLink(email ? `mailto:${address}` : address, null, escapeHtml(address)));
+        i += (autolink || email)[0].length;
+        continue;
+      }
+    }
 
-  return tableHtml;
-}
+    if (char === 'h' || char === 'H' || char === 'w' || char === 'W') {
+      const url = matchBareUrl(src, i);
+      if (url) {
+        pushHtml(renderLink(/^www\./i.test(url) ? `http://${url}` : url, null, escapeHtml(url)));
+        i += url.length;
+        continue;
+      }
+    }
 
-// ===== Inline Markdown Parser for table cells =====
-function parseInlineMarkdown(text, inlineCodes = []) {
-  if (!text) return "";
+    if (char === '*' || char === '_' || char === '~') {
+      const run = new RegExp(`^\\${char}+`).exec(src.slice(i))[0];
+      const { canOpen, canClose } = classifyDelimiterRun(src, i, run.length);
+      // GFM strikethrough only uses runs of one or two tildes
+      if (char === '~' && run.length > 2) {
+        text += run;
+      } else {
+        flushText();
+        nodes.push({ type: 'delimiter', char, count: run.length, originalCount: run.length, canOpen, canClose });
+      }
+      i += run.length;
+      continue;
+    }
 
-  // Handle inline code placeholders first (these were already extracted)
-  // Match __INLINECODE_N__ patterns and convert them back to inline code
-  text = text.replace(/__INLINECODE_(\d+)__/g, (match, num) => {
-    const codeIndex = parseInt(num);
-    if (inlineCodes && Array.isArray(inlineCodes) && codeIndex >= 0 && codeIndex < inlineCodes.length) {
-      const escaped = escapeHtml(inlineCodes[codeIndex]);
-      return `<code class="inline-code">${escaped}</code>`;
+    if (char === '\n') {
+      // Chat replies rely on single newlines, so soft breaks render as <br> like hard breaks
+      text = text.replace(/ +$/, '');
+      pushHtml('<br>');
+      i++;
+      continue;
     }
-    return match; // Return original if not found
-  });
 
-  // Bold (**text** or __text__)
-  text = text.replace(/\*\*([^*]+?)\*\*/g, "<strong>$1</strong>");
+    text += char;
+    i++;
+  }
+  flushText();
+
+  return renderInlineNodes(processEmphasis(nodes));
+}
+
+// CommonMark "process emphasis": match closers with the nearest compatible opener
+// and wrap everything between them
+function processEmphasis(nodes) {
+  let index = 0;
+  while (index < nodes.length) {
+    const closer = nodes[index];
+    if (closer.type !== 'delimiter' || !closer.canClose) {
+      index++;
+      continue;
+    }
 
-  // Italic (*text* or _text_)
-  text = text.replace(/(?<!\*)\*([^\*\n]+?)\*(?!\*)/g, "<em>$1</em>");
-  text = text.replace(/(?<!_)_([^\_\n]+?)_(?!_)/g, "<em>$1</em>");
+    let openerIndex = -1;
+    for (let j = index - 1; j >= 0; j--) {
+      const opener = nodes[j];
+      if (opener.type !== 'delimiter' || opener.char !== closer.char || !opener.canOpen) continue;
+      if (closer.char === '~' && opener.count !== closer.count) continue;
+      // "Rule of 3": a run that can both open and close only pairs with a compatible length
+      const oddMatch = (opener.canClose || closer.canOpen)
+        && (opener.originalCount + closer.originalCount) % 3 === 0
+        && !(opener.originalCount % 3 === 0 && closer.originalCount % 3 === 0);
+      if (oddMatch) continue;
+      openerIndex = j;
+      break;
+    }
 
-  // Strikethrough (~~text~~)
-  text = text.replace(/~~([^~]+?)~~/g, "<del>$1</del>");
+    if (openerIndex === -1) {
+      index++;
+      continue;
+    }
 
-  // Links [text](url)
-  text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g,
-    '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+    const opener = nodes[openerIndex];
+    const used = closer.char === '~' ? closer.count : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+    const tag = closer.char === '~' ? 'del' : (used === 2 ? 'strong' : 'em');
+    const inner = renderInlineNodes(nodes.slice(openerIndex + 1, index));
 
-  // Images ![alt](url) - though typically not used in tables
-  text = text.replace(/!\[([^\]]*)\]\(([^)]+)\)/g,
-    '<img src="$2" alt="$1" loading="lazy">');
+    opener.count -= used;
+    closer.count -= used;
 
-  return text;
+    const before = nodes.slice(0, opener.count > 0 ? openerIndex + 1 : openerIndex);
+    const after = nodes.slice(closer.count > 0 ? index : index + 1);
+    nodes = [...before, { type: 'html', value: `<${tag}>${inner}</${tag}>` }, ...after];
+    index = before.length + 1;
+  }
+  return nodes;
+}
+
+function renderInlineNodes(nodes) {
+  return nodes.map(node => {
+    if (node.type === 'text') return escapeHtml(node.value);
+    if (node.type === 'delimiter') return node.char.repeat(node.count);
+    return node.value;
+  }).join('');
+}
+
+// ===== Markdown: HTML Renderer =====
+function renderMarkdownBlocks(blocks, refs, { tight = false } = {}) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'paragraph': {
+        const inline = parseInlineMarkdown(block.text, refs);
+        return tight ? inline : `<p>${inline}</p>`;
+      }
+      case 'heading':
+        return `<h${block.level}>${parseInlineMarkdown(block.text, refs)}</h${block.level}>`;
+      case 'hr':
+        return '<hr>';
+      case 'code':
+        return renderCodeBlock(block);
+      case 'math':
+        return renderMathPlaceholder(block.tex, { display: true, pending: !block.closed });
+      case 'blockquote':
+        return `<blockquote>${renderMarkdownBlocks(block.children, refs)}</blockquote>`;
+      case 'list':
+        return renderList(block, refs);
+      case 'table':
+        return renderTable(block, refs);
+      default:
+        return '';
+    }
+  }).join('\n');
+}
+
+function renderList(list, refs) {
+  const tag = list.ordered ? 'ol' : 'ul';
+  const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+  const items = list.items.map(item => {
+    const body = renderMarkdownBlocks(item.children, refs, { tight: !list.loose });
+    if (item.task === null) return `<li>${body}</li>`;
+    return `<li class="task-list-item"><input type="checkbox" disabled${item.task ? ' checked' : ''}> ${body}</li>`;
+  });
+  return `<${tag}${start}>${items.join('')}</${tag}>`;
+}
+
+function renderTable(table, refs) {
+  const cell = (tagName, content, column) => {
+    const align = table.align[column];
+    const style = align ? ` style="text-align: ${align}"` : '';
+    return `<${tagName}${style}>${parseInlineMarkdown(content, refs)}</${tagName}>`;
+  };
+
+  const head = `<thead><tr>${table.header.map((content, column) => cell('th', content, column)).join('')}</tr></thead>`;
+  const body = table.rows.length > 0
+    ? `<tbody>${table.rows.map(row => `<tr>${row.map((content, column) => cell('td', content, column)).join('')}</tr>`).join('')}</tbody>`
+    : '';
+  return `<div class="table-wrapper"><table>${head}${body}</table></div>`;
+}
+
+function renderCodeBlock(block) {
+  const language = (block.lang || 'plaintext').toLowerCase().replace(/[^a-z0-9_+#.-]/g, '') || 'plaintext';
+  const langDisplay = language === "plaintext" ? "text" : language;
+  // A diagram fence still being streamed is shown as code until it closes
+  const diagram = block.closed !== false ? DIAGRAM_LANGUAGES[language] : null;
+  const previewable = block.closed !== false && PREVIEW_LANGUAGES[language];
+  const lineCount = block.text.split('\n').length;
+  const collapsible = block.closed !== false && lineCount > CODE_COLLAPSE_LINES;
+
+  return `
+      <div class="code-block-wrapper${diagram ? ` diagram-block diagram-${diagram}` : ''}${collapsible ? ' collapsed' : ''}">
+        <div class="code-header">
+          <span class="code-language">${escapeHtml(langDisplay)}</span>
+          <div class="code-actions">${diagram ? `
+            <button class="copy-btn diagram-btn" data-action="toggle-diagram" title="Show source"><span>Source</span></button>
+            <button class="copy-btn diagram-btn" data-action="download-diagram" title="Download SVG"><span>SVG</span></button>` : ''}${previewable ? `
+            <button class="copy-btn" data-action="preview-code" title="Run in the preview panel"><span>▶ Preview</span></button>` : ''}
+            <button class="copy-btn code-toggle-btn" data-action="toggle-wrap" title="Toggle line wrapping"><span>Wrap</span></button>
+            <button class="copy-btn code-toggle-btn" data-action="toggle-line-numbers" title="Toggle line numbers"><span>#</span></button>
+            <button class="copy-btn" data-action="download-code" title="Download as file"><span>⬇</span></button>
+            <button class="copy-btn" data-action="copy-code" title="Copy code">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+              </svg>
+              <span>Copy</span>
+            </button>
+          </div>
+        </div>
+        <pre class="code-block"><code class="language-${language}">${escapeHtml(block.text)}</code></pre>${diagram ? `
+        <div class="diagram-view"></div>` : ''}${collapsible ? `
+        <button class="code-expand-btn" data-action="toggle-collapse">Show all ${lineCount} lines</button>` : ''}
+      </div>`;
+}
+
+// ===== Markdown: Math =====
+// $...$, \(...\) and inline $$...$$ are parsed like code spans, so _ and * inside TeX are never
+// read as emphasis. The parser only emits the TeX source as text in a .math element; KaTeX
+// (vendor/katex) typesets those elements after the HTML has been sanitized and inserted.
+
+// Pandoc's rules for a single $: no space just inside the delimiters and no digit right after
+// the closing one, so prices like "$5 and $10" stay text
+function matchInlineMath(src, start) {
+  if (src.startsWith('$$', start)) {
+    const close = src.indexOf('$$', start + 2);
+    if (close === -1 || close === start + 2) return null;
+    return { tex: src.slice(start + 2, close), display: true, end: close + 2 };
+  }
+
+  if (!src[start + 1] || /\s|\$/.test(src[start + 1])) return null;
+
+  let close = start + 1;
+  while ((close = src.indexOf('$', close)) !== -1 && src[close - 1] === '\\') close++;
+  if (close === -1 || /\s/.test(src[close - 1]) || /\d/.test(src[close + 1] || '')) return null;
+
+  return { tex: src.slice(start + 1, close), display: false, end: close + 1 };
+}
+
+function renderMathPlaceholder(tex, { display = false, pending = false } = {}) {
+  const classes = ['math', display ? 'math-display' : 'math-inline'];
+  // An unclosed block (mid-stream) stays as source until its closing delimiter arrives
+  if (pending) classes.push('math-pending');
+  return `<span class="${classes.join(' ')}">${escapeHtml(tex.trim())}</span>`;
+}
+
+// Typeset every .math element under root that hasn't been rendered yet
+function renderMath(root, { output = 'htmlAndMathml' } = {}) {
+  // Without KaTeX the TeX source stays visible, which is still readable
+  if (typeof katex === 'undefined') return;
+
+  root.querySelectorAll('.math:not(.math-rendered):not(.math-pending)').forEach(element => {
+    try {
+      katex.render(element.textContent, element, {
+        displayMode: element.classList.contains('math-display'),
+        throwOnError: false,
+        output
+      });
+    } catch (error) {
+      console.warn("KaTeX rendering failed:", error);
+    }
+    element.classList.add('math-rendered');
+  });
+}
+
+// ===== HTML Sanitizer =====
+// Allow-list of elements and the attributes each may keep. Anything else is unwrapped
+// (dropped but its text kept), and the elements in SANITIZER_DROPPED_TAGS go with their contents.
+const SANITIZER_ALLOWED_TAGS = {
+  a: ['href', 'title', 'target', 'rel'],
+  img: ['src', 'alt', 'title', 'loading'],
+  p: [], br: [], hr: [], strong: [], em: [], del: [], blockquote: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: ['start'], li: ['class'],
+  input: ['type', 'checked', 'disabled'],
+  table: [], thead: [], tbody: [], tr: [], th: ['style'], td: ['style'],
+  pre: ['class'], code: ['class'], div: ['class'], span: ['class'],
+  button: ['class', 'title', 'data-action'],
+  svg: ['width', 'height', 'viewbox', 'fill', 'stroke', 'stroke-width'],
+  rect: ['x', 'y', 'width', 'height', 'rx', 'ry'],
+  path: ['d']
+};
+const SANITIZER_DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'form', 'textarea', 'select', 'noscript', 'template', 'link', 'meta', 'base'];
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const SAFE_IMAGE_PROTOCOLS = ['http:', 'https:', 'blob:'];
+const SAFE_IMAGE_DATA_URL = /^data:image\/(?:png|jpeg|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+// The URL if its scheme is allowed (relative URLs are), otherwise null
+function sanitizeUrl(url, { image = false } = {}) {
+  // Browsers ignore control characters and whitespace inside the scheme, so must we
+  const compact = (url || '').replace(/[\u0000- \u007f-\u009f]/g, '');
+  if (!compact) return null;
+
+  if (image && SAFE_IMAGE_DATA_URL.test(compact)) return url.trim();
+
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+  if (!scheme) {
+    // Relative URL; a colon before any slash would still be read as a scheme
+    return /^[^/?#]*:/.test(compact) ? null : url.trim();
+  }
+
+  const protocols = image ? SAFE_IMAGE_PROTOCOLS : SAFE_LINK_PROTOCOLS;
+  return protocols.includes(scheme[1].toLowerCase() + ':') ? url.trim() : null;
+}
+
+function sanitizeHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  sanitizeNode(template.content);
+  return template.innerHTML;
+}
+
+function sanitizeNode(parent) {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === Node.COMMENT_NODE) {
+      node.remove();
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = node.nodeName.toLowerCase();
+    if (SANITIZER_DROPPED_TAGS.includes(tag)) {
+      node.remove();
+      return;
+    }
+
+    sanitizeNode(node);
+
+    const allowedAttributes = SANITIZER_ALLOWED_TAGS[tag];
+    if (!allowedAttributes) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+
+    Array.from(node.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      if (!allowedAttributes.includes(name)) {
+        node.removeAttribute(attribute.name);
+      } else if (name === 'href' || name === 'src') {
+        const safe = sanitizeUrl(attribute.value, { image: tag === 'img' });
+        if (safe === null) node.removeAttribute(attribute.name);
+      } else if (name === 'style' && !/^text-align: (left|center|right)$/.test(attribute.value)) {
+        node.removeAttribute(attribute.name);
+      } else if (name === 'type' && attribute.value !== 'checkbox') {
+        node.removeAttribute(attribute.name);
+      }
+    });
+
+    if (tag === 'a' && node.hasAttribute('href')) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+    if (tag === 'input') {
+      node.setAttribute('type', 'checkbox');
+      node.setAttribute('disabled', '');
+    }
+  });
 }
 
 // ===== Debugging & Error Handling =====
@@ -956,6 +2459,568 @@ function fallbackCopy(text) {
 
 window.copyCode = copyCode;
 
+// ===== Code Block Actions =====
+// Download, soft-wrap, line numbers and collapse act on a single block. The diff view
+// compares a block with the closest earlier version of it in the conversation.
+const CODE_COLLAPSE_LINES = 30;
+const CODE_DIFF_MAX_CELLS = 4000000; // lines(old) × lines(new) the LCS table may use
+const CODE_FILE_EXTENSIONS = {
+  javascript: 'js', js: 'js', jsx: 'jsx', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+  python: 'py', py: 'py', ruby: 'rb', rb: 'rb', go: 'go', rust: 'rs', rs: 'rs',
+  java: 'java', kotlin: 'kt', swift: 'swift', c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', cs: 'cs',
+  php: 'php', html: 'html', htm: 'html', xml: 'xml', svg: 'svg', css: 'css', scss: 'scss', less: 'less',
+  json: 'json', yaml: 'yml', yml: 'yml', toml: 'toml', ini: 'ini', markdown: 'md', md: 'md',
+  bash: 'sh', sh: 'sh', shell: 'sh', zsh: 'sh', powershell: 'ps1', ps1: 'ps1', sql: 'sql',
+  r: 'r', lua: 'lua', perl: 'pl', dart: 'dart', scala: 'scala', haskell: 'hs', elixir: 'ex',
+  vue: 'vue', svelte: 'svelte', graphql: 'graphql', mermaid: 'mmd', dot: 'dot', latex: 'tex', tex: 'tex'
+};
+const CODE_FILE_NAMES = { dockerfile: 'Dockerfile', makefile: 'Makefile' };
+
+function getCodeBlockLanguage(wrapper) {
+  const match = /language-(\S+)/.exec(wrapper.querySelector('pre code').className);
+  return match ? match[1] : 'plaintext';
+}
+
+function downloadCodeBlock(button) {
+  const wrapper = button.closest('.code-block-wrapper');
+  const language = getCodeBlockLanguage(wrapper);
+  const filename = CODE_FILE_NAMES[language] || `snippet.${CODE_FILE_EXTENSIONS[language] || 'txt'}`;
+  downloadFile(wrapper.querySelector('pre code').textContent, filename, 'text/plain');
+}
+
+function toggleCodeWrap(button) {
+  const wrapped = button.closest('.code-block-wrapper').classList.toggle('wrap-lines');
+  button.classList.toggle('active', wrapped);
+}
+
+function toggleLineNumbers(button) {
+  const wrapper = button.closest('.code-block-wrapper');
+  const pre = wrapper.querySelector('pre.code-block');
+  const shown = wrapper.classList.toggle('show-line-numbers');
+  button.classList.toggle('active', shown);
+
+  pre.querySelector('.line-numbers')?.remove();
+  if (shown) {
+    const lineCount = pre.querySelector('code').textContent.replace(/\n$/, '').split('\n').length;
+    const gutter = document.createElement('span');
+    gutter.className = 'line-numbers';
+    gutter.setAttribute('aria-hidden', 'true');
+    gutter.textContent = Array.from({ length: lineCount }, (_, index) => index + 1).join('\n');
+    pre.prepend(gutter);
+  }
+}
+
+function toggleCodeCollapse(button) {
+  const wrapper = button.closest('.code-block-wrapper');
+  const collapsed = wrapper.classList.toggle('collapsed');
+  const lineCount = wrapper.querySelector('pre code').textContent.split('\n').length;
+  button.textContent = collapsed ? `Show all ${lineCount} lines` : 'Collapse';
+  if (collapsed) {
+    wrapper.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+// Line diff from the longest common subsequence; returns [{ type: 'same'|'add'|'del', text }]
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length + 1;
+  const cols = newLines.length + 1;
+  const table = new Uint32Array(rows * cols);
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      table[i * cols + j] = oldLines[i] === newLines[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: 'same', text: newLines[j] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      result.push({ type: 'del', text: oldLines[i++] });
+    } else {
+      result.push({ type: 'add', text: newLines[j++] });
+    }
+  }
+  while (i < oldLines.length) result.push({ type: 'del', text: oldLines[i++] });
+  while (j < newLines.length) result.push({ type: 'add', text: newLines[j++] });
+  return result;
+}
+
+// Share of distinct non-blank lines two snippets have in common (0..1)
+function codeSimilarity(a, b) {
+  const linesA = new Set(a.split('\n').map(line => line.trim()).filter(Boolean));
+  const linesB = new Set(b.split('\n').map(line => line.trim()).filter(Boolean));
+  if (linesA.size === 0 || linesB.size === 0) return 0;
+  let shared = 0;
+  linesA.forEach(line => { if (linesB.has(line)) shared++; });
+  return shared / Math.max(linesA.size, linesB.size);
+}
+
+// Give each code block that revises one from an earlier message a "Diff" action.
+// `bubbles` are the rendered messages in conversation order.
+function attachCodeDiffs(bubbles) {
+  const earlier = [];
+  bubbles.forEach(bubble => {
+    const blocks = Array.from(bubble.querySelectorAll('.code-block-wrapper:not(.diagram-block)')).map(wrapper => ({
+      wrapper,
+      language: getCodeBlockLanguage(wrapper),
+      code: wrapper.querySelector('pre code').textContent
+    }));
+
+    blocks.forEach(block => {
+      if (block.code.split('\n').length < 3) return;
+      let best = null;
+      earlier.forEach(candidate => {
+        if (candidate.language !== block.language || candidate.code === block.code) return;
+        const similarity = codeSimilarity(candidate.code, block.code);
+        if (similarity >= 0.4 && (!best || similarity >= best.similarity)) {
+          best = { ...candidate, similarity };
+        }
+      });
+      if (!best) return;
+
+      block.wrapper.previousVersion = best.code;
+      block.wrapper.querySelector('.code-actions').insertAdjacentHTML('afterbegin',
+        '<button class="copy-btn" data-action="toggle-diff" title="Compare with the earlier version"><span>Diff</span></button>');
+    });
+
+    earlier.push(...blocks);
+  });
+}
+
+function toggleCodeDiff(button) {
+  const wrapper = button.closest('.code-block-wrapper');
+  const showing = wrapper.classList.toggle('showing-diff');
+  button.classList.toggle('active', showing);
+  if (!showing || wrapper.querySelector('.code-diff')) return;
+
+  const oldLines = wrapper.previousVersion.replace(/\n$/, '').split('\n');
+  const newLines = wrapper.querySelector('pre code').textContent.replace(/\n$/, '').split('\n');
+  const diff = document.createElement('pre');
+  diff.className = 'code-diff';
+
+  if (oldLines.length * newLines.length > CODE_DIFF_MAX_CELLS) {
+    diff.textContent = 'These versions are too long to compare.';
+  } else {
+    const markers = { same: ' ', add: '+', del: '-' };
+    diff.innerHTML = diffLines(oldLines, newLines)
+      .map(line => `<span class="diff-line diff-${line.type}">${markers[line.type]} ${escapeHtml(line.text)}</span>`)
+      .join('');
+  }
+  wrapper.querySelector('pre.code-block').after(diff);
+}
+
+// ===== Diagrams (Mermaid & Graphviz) =====
+// ```mermaid and ```dot fences are rendered as SVG inside their code block. The libraries
+// are large, so like Prism's language components they are only loaded once a diagram shows up.
+const DIAGRAM_LANGUAGES = { mermaid: 'mermaid', dot: 'graphviz', graphviz: 'graphviz', gv: 'graphviz' };
+const DIAGRAM_LIBRARIES = {
+  mermaid: 'vendor/mermaid/mermaid.min.js',
+  graphviz: 'vendor/viz/viz-global.js'
+};
+const scriptLoads = new Map();
+const diagramSvgCache = new Map();
+let mermaidTheme = null;
+let vizInstance = null;
+let diagramCounter = 0;
+
+function loadScript(src) {
+  if (!scriptLoads.has(src)) {
+    scriptLoads.set(src, new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = true;
+      script.onload = resolve;
+      script.onerror = () => {
+        // Allow a retry on the next render, e.g. after coming back online
+        scriptLoads.delete(src);
+        script.remove();
+        reject(new Error(`Could not load ${src}`));
+      };
+      document.head.appendChild(script);
+    }));
+  }
+  return scriptLoads.get(src);
+}
+
+// Mermaid colours each diagram when it is rendered, so it follows the page's theme
+function getMermaidTheme() {
+  return document.documentElement.dataset.theme === 'light' ? 'default' : 'dark';
+}
+
+async function renderDiagramSvg(kind, source, theme) {
+  await loadScript(DIAGRAM_LIBRARIES[kind]);
+
+  if (kind === 'mermaid') {
+    if (mermaidTheme !== theme) {
+      // SVG text labels: sanitizeSvg drops the <foreignObject> HTML labels Mermaid uses by default
+      mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme, htmlLabels: false, flowchart: { htmlLabels: false } });
+      mermaidTheme = theme;
+    }
+    const id = `mermaid-diagram-${++diagramCounter}`;
+    try {
+      const { svg } = await mermaid.render(id, source);
+      return svg;
+    } finally {
+      // Mermaid leaves its scratch element behind when parsing fails
+      document.getElementById(`d${id}`)?.remove();
+    }
+  }
+
+  vizInstance ??= Viz.instance();
+  const viz = await vizInstance;
+  return viz.renderString(source, { format: 'svg' });
+}
+
+// Diagram sources come from the model, so the SVG gets the same treatment as Markdown HTML:
+// no scripts, no event handlers and no links outside the safe protocols
+const SVG_DROPPED_TAGS = 'script, iframe, object, embed, foreignObject, style, animate, animateMotion, animateTransform, set, discard';
+// Anything in a declaration that could fetch a resource; url(#id) points inside the SVG
+const SVG_STYLE_LOADS = /url\(\s*(?!['"]?#)|image-set\(|@import/i;
+
+// Mermaid themes a diagram, including its classDef and style lines, with a <style> whose rules
+// are all prefixed with the SVG's id. Only rules that can't match outside the SVG are kept:
+// every selector starts with the id and has no sibling combinator.
+function scopeSvgStyles(svg, cssText) {
+  if (!/^[\w-]+$/.test(svg.id) || !cssText.trim()) return null;
+  const prefix = `#${svg.id}`;
+  const isScoped = selector => selector.startsWith(prefix) && /^(?:$|[\s>.:[])/.test(selector.slice(prefix.length)) && !/[~+]/.test(selector);
+
+  // A sheet that isn't adopted by any document, so the rules never apply to this page, even briefly
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(cssText);
+
+  const rules = Array.from(sheet.cssRules)
+    .filter(rule => rule.selectorText !== undefined && !SVG_STYLE_LOADS.test(rule.cssText)
+      && rule.selectorText.split(',').every(selector => isScoped(selector.trim())))
+    .map(rule => rule.cssText);
+  if (rules.length === 0) return null;
+
+  const scoped = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+  scoped.textContent = rules.join('\n');
+  return scoped;
+}
+
+function sanitizeSvg(svgText) {
+  const template = document.createElement('template');
+  template.innerHTML = svgText;
+  const svg = template.content.querySelector('svg');
+  if (!svg) throw new Error('The renderer returned no SVG');
+
+  // Animations can rewrite attributes such as href after the checks below, <foreignObject> embeds
+  // arbitrary HTML and <style> applies to the whole page, not just the diagram
+  const cssText = Array.from(svg.querySelectorAll('style'), style => style.textContent).join('\n');
+  svg.querySelectorAll(SVG_DROPPED_TAGS).forEach(node => node.remove());
+  [svg, ...svg.querySelectorAll('*')].forEach(element => {
+    Array.from(element.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      if (name.startsWith('on')) {
+        element.removeAttribute(attribute.name);
+      } else if ((name === 'href' || name === 'xlink:href') && !attribute.value.startsWith('#') && sanitizeUrl(attribute.value) === null) {
+        element.removeAttribute(attribute.name);
+      }
+    });
+  });
+
+  const scopedStyle = scopeSvgStyles(svg, cssText);
+  if (scopedStyle) svg.prepend(scopedStyle);
+  return svg;
+}
+
+async function renderDiagramBlock(wrapper) {
+  wrapper.classList.add('diagram-processed');
+  const kind = wrapper.classList.contains('diagram-mermaid') ? 'mermaid' : 'graphviz';
+  const source = wrapper.querySelector('pre code').textContent;
+  const view = wrapper.querySelector('.diagram-view');
+  const theme = kind === 'mermaid' ? getMermaidTheme() : null;
+  const cacheKey = `${kind}:${theme}:${source}`;
+
+  try {
+    if (!diagramSvgCache.has(cacheKey)) {
+      diagramSvgCache.set(cacheKey, renderDiagramSvg(kind, source, theme));
+    }
+    const svgText = await diagramSvgCache.get(cacheKey);
+    view.replaceChildren(sanitizeSvg(svgText));
+    wrapper.classList.add('diagram-rendered');
+  } catch (error) {
+    diagramSvgCache.delete(cacheKey);
+    console.warn(`Could not render ${kind} diagram:`, error);
+    // Fall back to the source, which stays in the code block
+    const note = document.createElement('div');
+    note.className = 'diagram-error';
+    note.textContent = `Diagram could not be rendered: ${error.message || error}. Showing the source instead.`;
+    wrapper.querySelector('pre').before(note);
+    wrapper.classList.add('diagram-failed');
+  }
+}
+
+function renderDiagrams(root) {
+  const blocks = Array.from(root.querySelectorAll('.diagram-block:not(.diagram-processed)'));
+  return Promise.all(blocks.map(renderDiagramBlock));
+}
+
+// Redraw the Mermaid diagrams on the page in the current theme
+function rerenderMermaidDiagrams() {
+  const blocks = Array.from(document.querySelectorAll('.diagram-block.diagram-mermaid.diagram-rendered'));
+  return Promise.all(blocks.map(renderDiagramBlock));
+}
+
+function toggleDiagramSource(button) {
+  const wrapper = button.closest('.diagram-block');
+  const showingSource = wrapper.classList.toggle('showing-source');
+  button.querySelector('span').textContent = showingSource ? 'Diagram' : 'Source';
+  button.title = showingSource ? 'Show diagram' : 'Show source';
+}
+
+function downloadDiagram(button) {
+  const wrapper = button.closest('.diagram-block');
+  const svg = wrapper.querySelector('.diagram-view svg');
+  if (!svg) return;
+
+  const kind = wrapper.classList.contains('diagram-mermaid') ? 'mermaid' : 'graphviz';
+  const exported = svg.cloneNode(true);
+  if (!exported.getAttribute('xmlns')) {
+    exported.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  }
+  downloadFile(new XMLSerializer().serializeToString(exported), `${kind}-diagram.svg`, 'image/svg+xml');
+}
+
+// ===== Artifact Preview =====
+// html/javascript/jsx code blocks get a "Preview" action that runs them in a sandboxed iframe
+// in the side panel. All previewable blocks of a reply (plus its css blocks) are combined into
+// one page, and the page is stored on the message as `artifact` so it can be reopened later.
+const PREVIEW_LANGUAGES = { html: 'html', htm: 'html', xhtml: 'html', javascript: 'js', js: 'js', jsx: 'jsx' };
+const ARTIFACT_LANGUAGES = { ...PREVIEW_LANGUAGES, css: 'css' };
+// Absolute, because the srcdoc page has an opaque origin. Saved artifacts reference these URLs;
+// runActiveArtifact inlines the files, since the service worker doesn't serve the sandboxed page.
+const JSX_RUNTIME_SCRIPTS = [
+  'vendor/react/react.production.min.js',
+  'vendor/react/react-dom.production.min.js',
+  'vendor/babel/babel.min.js'
+].map(path => new URL(path, document.baseURI).href);
+const REACT_GLOBALS = ['useState', 'useEffect', 'useRef', 'useMemo', 'useCallback', 'useReducer', 'useContext', 'useLayoutEffect', 'createContext', 'Fragment'];
+const ARTIFACT_ACTION_BUTTON = '<button class="message-action-btn" data-action="open-artifact" title="Open the saved preview">▶ Preview</button>';
+let activeArtifact = null;
+// Runtime script text by URL, fetched by this page so the service worker can cache it
+const jsxRuntimeSources = new Map();
+
+// Runs first inside the preview and forwards console output and uncaught errors to the panel
+const ARTIFACT_CONSOLE_BRIDGE = `<script>
+(() => {
+  const format = (value) => {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return value.stack || String(value);
+    try { return JSON.stringify(value) ?? String(value); } catch { return String(value); }
+  };
+  const send = (level, args) => parent.postMessage({ type: 'artifact-console', level, args: args.map(format) }, '*');
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+    const original = console[level];
+    console[level] = (...args) => { send(level, args); original.apply(console, args); };
+  });
+  addEventListener('error', (e) => send('error', [e.message + (e.lineno ? \` (line \${e.lineno})\` : '')]));
+  addEventListener('unhandledrejection', (e) => send('error', ['Unhandled rejection: ' + format(e.reason)]));
+})();
+<\/script>`;
+
+// Code blocks of a message's text, including those nested in lists and quotes
+function collectCodeBlocks(blocks, found = []) {
+  blocks.forEach(block => {
+    if (block.type === 'code') found.push(block);
+    if (block.children) collectCodeBlocks(block.children, found);
+    if (block.items) block.items.forEach(item => collectCodeBlocks(item.children, found));
+  });
+  return found;
+}
+
+function getArtifactSources(text) {
+  const blocks = tokenizeMarkdownBlocks(text.replace(/\r\n?/g, '\n').split('\n'), {});
+  return collectCodeBlocks(blocks)
+    .map(block => ({ kind: ARTIFACT_LANGUAGES[(block.lang || '').toLowerCase()], code: block.text }))
+    .filter(source => source.kind);
+}
+
+function escapeScriptContent(code) {
+  return code.replace(/<\/script/gi, '<\\/script');
+}
+
+// Components are usually written as modules; the preview has no bundler, so React comes from
+// globals and the default export is mounted into #root unless the code renders itself
+function prepareJsxSource(code) {
+  let componentName = null;
+  let source = code
+    .replace(/^\s*import\s[^;]*?from\s*['"][^'"]+['"];?\s*$/gm, '')
+    .replace(/^\s*import\s*['"][^'"]+['"];?\s*$/gm, '')
+    .replace(/export\s+default\s+function\s+([A-Za-z_$][\w$]*)/, (_, name) => {
+      componentName = name;
+      return `function ${name}`;
+    })
+    .replace(/^\s*export\s+default\s+([A-Za-z_$][\w$]*);?\s*$/m, (_, name) => {
+      componentName = name;
+      return '';
+    })
+    .replace(/^(\s*)export\s+(?=(?:const|let|var|function|class)\s)/gm, '$1');
+
+  componentName = componentName || (/\bfunction\s+App\b|\b(?:const|let)\s+App\b/.test(source) ? 'App' : null);
+  if (componentName && !/createRoot\s*\(|ReactDOM\.render\s*\(/.test(source)) {
+    source += `\nReactDOM.createRoot(document.getElementById('root')).render(<${componentName} />);`;
+  }
+  return source;
+}
+
+function buildArtifactDocument(sources) {
+  const byKind = (kind) => sources.filter(source => source.kind === kind).map(source => source.code);
+  const markup = byKind('html').join('\n');
+  const jsx = byKind('jsx');
+
+  const head = [
+    '<meta charset="UTF-8">',
+    ...byKind('css').map(css => `<style>\n${css.replace(/<\/style/gi, '<\\/style')}\n</style>`),
+    ...(jsx.length > 0 ? JSX_RUNTIME_SCRIPTS.map(src => `<script src="${src}"><\/script>`) : [])
+  ].join('\n');
+  const body = [
+    ...(jsx.length > 0 && !/id=["']root["']/.test(markup) ? ['<div id="root"></div>'] : []),
+    ...byKind('js').map(js => `<script>\n${escapeScriptContent(js)}\n<\/script>`),
+    ...(jsx.length > 0 ? [`<script>Object.assign(window, { ${REACT_GLOBALS.map(name => `${name}: React.${name}`).join(', ')} });<\/script>`] : []),
+    ...jsx.map(code => `<script type="text/babel" data-presets="react">\n${escapeScriptContent(prepareJsxSource(code))}\n<\/script>`)
+  ].join('\n');
+
+  // A complete HTML document from the reply is used as the page; fragments get a skeleton
+  if (/<html[\s>]|<!doctype html/i.test(markup)) {
+    let page = /<\/head>/i.test(markup) ? markup.replace(/<\/head>/i, `${head}\n</head>`) : markup.replace(/<html[^>]*>/i, match => `${match}\n<head>${head}</head>`);
+    page = /<\/body>/i.test(page) ? page.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${body}\n</body>`) : page + body;
+    return page;
+  }
+  return `<!DOCTYPE html>\n<html lang="en">\n<head>\n${head}\n</head>\n<body>\n${markup}\n${body}\n</body>\n</html>`;
+}
+
+async function previewCodeBlock(button) {
+  const bubble = button.closest('.message[data-message-id]');
+  const message = bubble ? messageNodes.find(node => node.id === bubble.dataset.messageId) : null;
+
+  let sources;
+  if (message) {
+    sources = getArtifactSources(getMessageText(message));
+  } else {
+    // Still streaming: preview just this block
+    const code = button.closest('.code-block-wrapper').querySelector('code');
+    const language = (code.className.match(/language-(\S+)/) || [])[1];
+    sources = [{ kind: PREVIEW_LANGUAGES[language], code: code.textContent }];
+  }
+  if (!sources.some(source => source.kind !== 'css')) return;
+
+  const artifact = {
+    title: getArtifactTitle(sources),
+    html: buildArtifactDocument(sources),
+    createdAt: new Date().toISOString()
+  };
+
+  if (message) {
+    message.artifact = artifact;
+    pendingMessageWrites.add(message.id);
+    await autoSave();
+
+    // Add the reopen action in place rather than re-rendering (which would scroll the chat)
+    const actions = bubble.querySelector('.message-actions');
+    if (actions && !actions.querySelector('[data-action="open-artifact"]')) {
+      actions.lastElementChild.insertAdjacentHTML('beforebegin', ARTIFACT_ACTION_BUTTON);
+    }
+  }
+  openArtifactPreview(artifact, message?.id);
+}
+
+function getArtifactTitle(sources) {
+  const title = /<title>([^<]*)<\/title>/i.exec(sources.filter(source => source.kind === 'html').map(source => source.code).join('\n'));
+  if (title && title[1].trim()) return title[1].trim();
+  const kinds = [...new Set(sources.map(source => source.kind.toUpperCase()))];
+  return `${kinds.join(' + ')} preview`;
+}
+
+function openArtifactPreview(artifact, messageId = null) {
+  const panel = document.getElementById('previewPanel');
+  if (!panel || !artifact) return;
+
+  activeArtifact = { ...artifact, messageId };
+  document.getElementById('previewTitle').textContent = artifact.title || 'Preview';
+  panel.hidden = false;
+  runActiveArtifact();
+}
+
+function loadJsxRuntimeSource(url) {
+  if (!jsxRuntimeSources.has(url)) {
+    const request = fetch(url).then(response => {
+      if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+      return response.text();
+    });
+    // A failed download (e.g. offline before the first preview) is retried next time
+    request.catch(() => jsxRuntimeSources.delete(url));
+    jsxRuntimeSources.set(url, request);
+  }
+  return jsxRuntimeSources.get(url);
+}
+
+// Replace the React/Babel script tags with the files' contents
+async function inlineJsxRuntime(html) {
+  let page = html;
+  for (const url of JSX_RUNTIME_SCRIPTS) {
+    const tag = `<script src="${url}"><\/script>`;
+    if (!page.includes(tag)) continue;
+    const source = await loadJsxRuntimeSource(url);
+    page = page.split(tag).join(`<script>\n${escapeScriptContent(source)}\n<\/script>`);
+  }
+  return page;
+}
+
+async function runActiveArtifact() {
+  if (!activeArtifact) return;
+  const artifact = activeArtifact;
+  clearArtifactConsole();
+
+  let html = artifact.html;
+  try {
+    html = await inlineJsxRuntime(html);
+  } catch (error) {
+    // The page still runs its plain scripts; the missing runtime shows up in the console
+    console.error('Could not load the JSX preview runtime:', error);
+    appendArtifactConsoleLine('error', [`Could not load React/Babel for the preview: ${error.message}`]);
+  }
+  // Another preview was opened, or this one closed, while the runtime loaded
+  if (activeArtifact !== artifact) return;
+
+  const frame = document.getElementById('previewFrame');
+  // The bridge goes first so it sees output from every script on the page
+  frame.srcdoc = /<head[^>]*>/i.test(html)
+    ? html.replace(/<head[^>]*>/i, match => `${match}\n${ARTIFACT_CONSOLE_BRIDGE}`)
+    : ARTIFACT_CONSOLE_BRIDGE + html;
+}
+
+function closeArtifactPreview() {
+  const panel = document.getElementById('previewPanel');
+  if (!panel) return;
+  panel.hidden = true;
+  // Stop whatever the page was running
+  document.getElementById('previewFrame').srcdoc = '';
+  activeArtifact = null;
+}
+
+function clearArtifactConsole() {
+  document.getElementById('previewConsole').innerHTML = '';
+}
+
+function appendArtifactConsoleLine(level, args) {
+  const consoleEl = document.getElementById('previewConsole');
+  const line = document.createElement('div');
+  line.className = `console-line console-${['warn', 'error'].includes(level) ? level : 'log'}`;
+  line.textContent = args.join(' ');
+  consoleEl.appendChild(line);
+  consoleEl.scrollTop = consoleEl.scrollHeight;
+}
+
 // ===== Render Functions =====
 function renderReplyStreamInit() {
   try {
@@ -972,65 +3037,210 @@ function renderReplyStreamInit() {
   }
 }
 
+// Streaming replies are rendered incrementally: blocks that can no longer change are
+// appended once, and only the trailing, still-growing block is re-parsed per update.
+const streamRenderers = new WeakMap();
+const STREAM_FENCE_PATTERN = /^[ \t]*(`{3,}|~{3,})(.*)$/;
+
+function highlightCodeBlocks(root) {
+  root.querySelectorAll('pre code').forEach((block) => {
+    if (!block.dataset.highlighted) {
+      try {
+        Prism.highlightElement(block);
+      } catch (highlightError) {
+        console.warn("Prism highlighting failed:", highlightError);
+      }
+      // Mark even on failure to prevent repeated attempts on the same block
+      block.dataset.highlighted = 'true';
+    }
+  });
+}
+
+// Returns the offset in `text` up to which blocks are finished. A block is finished once a
+// blank line outside any code fence is followed by a complete line that starts a new
+// top-level block (not indented, not a list item or quote that could continue the previous one).
+function findStableBlockBoundary(text, from) {
+  let boundary = from;
+  let fence = null;
+  let previousBlank = false;
+  let pos = from;
+
+  while (true) {
+    const newline = text.indexOf('\n', pos);
+    if (newline === -1) break; // The last line is still being streamed
+    const line = text.slice(pos, newline);
+    const fenceMatch = line.match(STREAM_FENCE_PATTERN);
+
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && isBlankLine(fenceMatch[2])) {
+        fence = null;
+      }
+    } else {
+      if (previousBlank && !isBlankLine(line) && !/^[ \t]/.test(line) &&
+          !parseListMarker(line) && !BLOCK_PATTERNS.blockquote.test(line)) {
+        boundary = pos;
+      }
+      if (fenceMatch && !(fenceMatch[1][0] === '`' && fenceMatch[2].includes('`'))) {
+        fence = fenceMatch[1];
+      }
+    }
+
+    previousBlank = !fence && isBlankLine(line);
+    pos = newline + 1;
+  }
+
+  return boundary;
+}
+
+function getStreamRenderer(container) {
+  let state = streamRenderers.get(container);
+  if (!state) {
+    state = { container, text: '', committedLength: 0, tailNodes: [], frame: null };
+    streamRenderers.set(container, state);
+    // Drop the "Thinking..." / status placeholder
+    container.innerHTML = '';
+  }
+  return state;
+}
+
+function renderStreamFrame(state) {
+  const { container, text } = state;
+  state.frame = null;
+
+  state.tailNodes.forEach(node => node.remove());
+
+  const boundary = findStableBlockBoundary(text, state.committedLength);
+  if (boundary > state.committedLength) {
+    container.insertAdjacentHTML('beforeend', parseMarkdown(text.slice(state.committedLength, boundary)));
+    state.committedLength = boundary;
+    // Finished code blocks are highlighted once; the open tail stays plain until it settles
+    highlightCodeBlocks(container);
+    renderDiagrams(container);
+  }
+
+  const before = container.childNodes.length;
+  container.insertAdjacentHTML('beforeend', parseMarkdown(text.slice(state.committedLength)));
+  state.tailNodes = Array.from(container.childNodes).slice(before);
+  renderMath(container);
+}
+
 function renderReplyStreamUpdate(container, text) {
   try {
     if (!container) {
       throw new Error("Container element is null");
     }
 
-    // Parse markdown and handle any errors
-    const parsedHtml = parseMarkdown(text || "");
-    container.innerHTML = parsedHtml;
+    const state = getStreamRenderer(container);
+    state.text = text || "";
 
-    // Highlight code blocks after parsing
-    container.querySelectorAll('pre code').forEach((block) => {
-      if (!block.dataset.highlighted) {
-        try {
-          Prism.highlightElement(block);
-          block.dataset.highlighted = 'true';
-        } catch (highlightError) {
-          console.warn("Prism highlighting failed:", highlightError);
-          // Still set as highlighted to prevent repeated attempts on same block
-          block.dataset.highlighted = 'true';
-        }
+    // Coalesce chunks that arrive within one frame into a single DOM write
+    if (state.frame !== null) return;
+    state.frame = requestAnimationFrame(() => {
+      try {
+        if (!container.isConnected) return;
+        renderStreamFrame(state);
+        // Apply display limits to keep UI responsive
+        enforceDisplayLimits(document.getElementById("output"));
+      } catch (error) {
+        console.error("Error in renderReplyStreamUpdate:", error);
+        showError("Error updating stream display: " + error.message);
       }
     });
-
-    const output = document.getElementById("output");
-
-    // Apply display limits to keep UI responsive
-    enforceDisplayLimits(output);
-
-    // output.scrollTop = output.scrollHeight;
   } catch (error) {
     console.error("Error in renderReplyStreamUpdate:", error);
     showError("Error updating stream display: " + error.message);
   }
 }
 
+// Stops a pending frame so it can't overwrite an error or status written into the container
+function cancelReplyStream(container) {
+  const state = container && streamRenderers.get(container);
+  if (!state) return;
+  if (state.frame !== null) {
+    cancelAnimationFrame(state.frame);
+  }
+  streamRenderers.delete(container);
+}
+
+// Debug helper: compares re-parsing the whole reply per chunk with the incremental
+// renderer on a ~50 KB reply. Run `runStreamRenderBenchmark()` from the console.
+function buildBenchmarkReply(targetSize = 50 * 1024) {
+  const sections = [
+    '## Section {n}\n\nThis paragraph has **bold**, *emphasis*, `inline code` and a [link](https://example.com/{n}).\nIt wraps onto a second line to exercise soft breaks.\n\n',
+    '- First item {n}\n- Second item with `code`\n  - Nested item\n- Third item\n\n',
+    '```javascript\nfunction example{n}(value) {\n  const doubled = value * 2;\n  return doubled + {n};\n}\n```\n\n',
+    '| Column | Value |\n| :----- | ----: |\n| row {n} | {n} |\n| next | 42 |\n\n',
+    '> A quoted line for section {n}\n> that continues here.\n\n'
+  ];
+  let reply = '';
+  for (let n = 1; reply.length < targetSize; n++) {
+    reply += sections[n % sections.length].replaceAll('{n}', n);
+  }
+  return reply;
+}
+
+function runStreamRenderBenchmark({ size = 50 * 1024, chunkSize = 24 } = {}) {
+  const reply = buildBenchmarkReply(size);
+  const chunks = Math.ceil(reply.length / chunkSize);
+  const sandbox = document.createElement('div');
+
+  let start = performance.now();
+  for (let end = chunkSize; end < reply.length + chunkSize; end += chunkSize) {
+    sandbox.innerHTML = parseMarkdown(reply.slice(0, end));
+    highlightCodeBlocks(sandbox);
+  }
+  const fullReparseMs = performance.now() - start;
+
+  // Every chunk is rendered (no frame coalescing) so this is the incremental worst case
+  sandbox.innerHTML = '';
+  const state = { container: sandbox, text: '', committedLength: 0, tailNodes: [], frame: null };
+  start = performance.now();
+  for (let end = chunkSize; end < reply.length + chunkSize; end += chunkSize) {
+    state.text = reply.slice(0, end);
+    renderStreamFrame(state);
+  }
+  const incrementalMs = performance.now() - start;
+
+  const results = {
+    replyBytes: reply.length,
+    chunks,
+    fullReparseMs: Math.round(fullReparseMs),
+    incrementalMs: Math.round(incrementalMs),
+    speedup: `${(fullReparseMs / Math.max(incrementalMs, 1)).toFixed(1)}x`
+  };
+  console.table(results);
+  return results;
+}
+
+window.runStreamRenderBenchmark = runStreamRenderBenchmark;
+
 function renderFullConversation() {
   try {
     const output = document.getElementById("output");
     output.innerHTML = "";
 
-    if (conversation.length === 0) return;
+    const queued = getOutboxItems(currentChatId);
+    if (conversation.length === 0 && queued.length === 0) return;
 
     conversation.forEach((msg, index) => {
       try {
+        // Compared replies stay side by side until one is picked
+        if (index === conversation.length - 1 && isPendingComparison(msg)) {
+          output.appendChild(renderComparisonRow());
+          return;
+        }
+
         const roleLabel = msg.role === "user" ? "👤 You" : "🤖 Claude";
         const bubble = document.createElement("div");
         bubble.className = `message ${msg.role}`;
+        bubble.dataset.messageId = msg.id;
 
-        let content = "";
-        if (Array.isArray(msg.content)) {
-          content = msg.content.map(c => c.text || c).join(" ");
-        } else if (typeof msg.content === "string") {
-          content = msg.content;
-        } else {
-          content = String(msg.content);
-        }
+        const content = getMessageText(msg);
 
-        bubble.innerHTML = `<strong>${roleLabel}:</strong><br><div class="content">${parseMarkdown(content)}</div>`;
+        bubble.innerHTML = `<strong>${roleLabel}:</strong><br><div class="content">${renderAttachmentParts(msg)}${parseMarkdown(content)}</div>${renderMessageFooter(msg)}${renderMessageActions(msg)}`;
+        if (msg.truncated) {
+          markReplyInterrupted(bubble);
+        }
         output.appendChild(bubble);
       } catch (msgError) {
         console.error(`Error rendering message ${index}:`, msgError);
@@ -1038,15 +3248,23 @@ function renderFullConversation() {
       }
     });
 
+    // Prompts waiting in the outbox follow the conversation; the one being sent is already part of it
+    queued.filter(item => item.status !== 'sending').forEach(item => output.appendChild(renderOutboxBubble(item)));
+
     // Apply display limits to keep UI responsive
     enforceDisplayLimits(output);
 
+    hydrateAttachmentPreviews(output);
+
     // Highlight all code blocks after rendering
     try {
       Prism.highlightAllUnder(output);
     } catch (highlightError) {
       console.warn("Prism highlighting failed:", highlightError);
     }
+    renderMath(output);
+    renderDiagrams(output);
+    attachCodeDiffs(Array.from(output.querySelectorAll('.message')));
 
     output.scrollTop = output.scrollHeight;
   } catch (error) {
@@ -1055,71 +3273,377 @@ function renderFullConversation() {
   }
 }
 
-// ===== File Save/Load Functions =====
-function downloadConversation() {
-  try {
-    if (conversation.length === 0) {
-      alert("No conversation to save!");
-      return;
-    }
-    const data = JSON.stringify(conversation, null, 2);
-    const blob = new Blob([data], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
+// ===== Message Metadata =====
+// Replies record which provider and model wrote them, time to first token, total duration and,
+// when the provider reports it, token usage. Every message records when it was created.
+// Messages saved before this was added simply have none of it.
+
+// Fields stored on an assistant message for a reply whose generation is described by stats
+function getReplyMetadata({ provider, model, startedAt, firstTokenAt, finishedAt, usage }) {
+  if (!startedAt) return {};
+  const metadata = {
+    provider,
+    model,
+    durationMs: Math.round((finishedAt || performance.now()) - startedAt)
+  };
+  if (firstTokenAt) metadata.ttftMs = Math.round(firstTokenAt - startedAt);
+  if (usage && Object.keys(usage).length > 0) metadata.usage = usage;
+  return metadata;
+}
 
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `conversation-${Date.now()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  } catch (error) {
-    console.error("Error downloading conversation:", error);
-    showError("Error saving conversation: " + error.message);
-  }
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
 }
 
-async function loadFromFile(file) {
-  const reader = new FileReader();
-  reader.onload = async (e) => {
-    try {
+function formatTokenUsage(usage) {
+  if (!usage) return null;
+  const parts = [];
+  if (usage.inputTokens != null) parts.push(`${usage.inputTokens.toLocaleString()} in`);
+  if (usage.outputTokens != null) parts.push(`${usage.outputTokens.toLocaleString()} out`);
+  return parts.length > 0 ? `${parts.join(' / ')} tokens` : null;
+}
+
+// Labelled entries describing a message, shared by the bubble footer and the exports.
+// `inline` is the footer wording for values that are unclear without their label.
+function getMessageMetaEntries(msg) {
+  const entries = [];
+  if (msg.createdAt) {
+    entries.push({ label: 'Sent', value: new Date(msg.createdAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) });
+  }
+  if (msg.model) {
+    entries.push({ label: 'Model', value: msg.provider ? `${getProvider(msg.provider).name} · ${msg.model}` : msg.model });
+  }
+  if (msg.ttftMs != null) {
+    entries.push({ label: 'First token', value: formatDuration(msg.ttftMs), inline: `first token ${formatDuration(msg.ttftMs)}` });
+  }
+  if (msg.durationMs != null) {
+    entries.push({ label: 'Duration', value: formatDuration(msg.durationMs), inline: `${formatDuration(msg.durationMs)} total` });
+  }
+  const usage = formatTokenUsage(msg.usage);
+  if (usage) {
+    entries.push({ label: 'Usage', value: usage });
+  }
+  return entries;
+}
+
+function renderMessageFooter(msg) {
+  const entries = getMessageMetaEntries(msg);
+  if (entries.length === 0) return '';
+  return `<div class="message-meta">${entries
+    .map(entry => `<span title="${escapeHtml(entry.label)}">${escapeHtml(entry.inline || entry.value)}</span>`)
+    .join('')}</div>`;
+}
+
+// Edit/regenerate buttons plus a "‹ 2/3 ›" switcher when the message has sibling branches
+function renderMessageActions(msg) {
+  const siblings = getChildMessages(msg.parentId);
+  const position = siblings.findIndex(node => node.id === msg.id) + 1;
+
+  const switcher = siblings.length > 1 ? `
+    <span class="branch-switcher">
+      <button class="branch-btn" data-action="prev-branch" aria-label="Previous version" ${position === 1 ? 'disabled' : ''}>‹</button>
+      <span class="branch-position">${position}/${siblings.length}</span>
+      <button class="branch-btn" data-action="next-branch" aria-label="Next version" ${position === siblings.length ? 'disabled' : ''}>›</button>
+    </span>` : '';
+
+  const action = msg.role === 'user'
+    ? '<button class="message-action-btn" data-action="edit" title="Edit and resend">✎ Edit</button>'
+    : '<button class="message-action-btn" data-action="regenerate" title="Regenerate reply">↻ Regenerate</button>';
+
+  const artifact = msg.artifact ? ARTIFACT_ACTION_BUTTON : '';
+
+  return `<div class="message-actions">${switcher}${artifact}${action}</div>`;
+}
+
+// ===== File Save/Load Functions =====
+// ===== Conversation Export =====
+const EXPORT_FORMATS = {
+  json: { extension: 'json', type: 'application/json' },
+  markdown: { extension: 'md', type: 'text/markdown' },
+  html: { extension: 'html', type: 'text/html' }
+};
+
+// Styles embedded in HTML exports so the file renders the same without this app.
+// Print mode swaps the dark theme for black on white and keeps code blocks on one page where possible.
+const EXPORT_STYLES = `
+  body { margin: 0 auto; max-width: 860px; padding: 24px; background: #0a0a0f; color: #e0e0e0; font-family: 'Segoe UI', system-ui, sans-serif; line-height: 1.6; }
+  h1.export-title { color: #4d9fff; margin-bottom: 4px; }
+  .export-meta { color: #8080a0; font-size: 13px; margin-bottom: 24px; }
+  .export-meta span { margin-right: 16px; }
+  .message { border: 1px solid rgba(0, 100, 255, 0.3); border-radius: 10px; padding: 12px 16px; margin-bottom: 16px; }
+  .message.user { background: #10101a; }
+  .message.assistant { background: #0d0d12; }
+  .message-role { font-weight: bold; color: #4d9fff; }
+  .interrupted-note { color: #ffaa33; font-size: 12px; font-style: italic; }
+  .message-meta { display: flex; flex-wrap: wrap; gap: 4px 12px; margin-top: 6px; font-size: 11px; color: #8080a0; }
+  .code-header { display: flex; justify-content: space-between; font-size: 12px; color: #8080a0; padding: 4px 8px; background: #1a1a24; border-radius: 6px 6px 0 0; }
+  .copy-btn { display: none; }
+  pre.code-block { margin: 0 0 12px; padding: 12px; overflow-x: auto; border-radius: 0 0 6px 6px; }
+  code { font-family: 'Fira Code', Consolas, monospace; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid rgba(128, 128, 160, 0.5); padding: 4px 8px; }
+  a { color: #4d9fff; }
+  .export-attachments { display: flex; flex-wrap: wrap; gap: 8px; margin: 6px 0; }
+  .export-image { max-width: 100%; max-height: 320px; border-radius: 6px; }
+  .export-file { font-size: 13px; padding: 2px 8px; border: 1px solid rgba(128, 128, 160, 0.5); border-radius: 12px; }
+  .diagram-view svg { display: block; max-width: 100%; height: auto; margin: 8px auto 12px; }
+  .diagram-error { font-size: 12px; color: #ffaa33; padding: 4px 8px; }
+`;
+
+const EXPORT_PRINT_STYLES = `
+  body { background: #ffffff; color: #111111; max-width: none; padding: 0; }
+  h1.export-title, .message-role, a { color: #003c99; }
+  .export-meta { color: #555555; }
+  .message, .message.user, .message.assistant { background: none; border: none; border-bottom: 1px solid #cccccc; border-radius: 0; padding: 8px 0; break-inside: avoid-page; }
+  pre.code-block { white-space: pre-wrap; word-break: break-word; break-inside: avoid; }
+  @page { margin: 18mm; }
+`;
+
+function getExportMetadata() {
+  const chat = getCurrentChat();
+  const firstUserMessage = conversation.find(msg => msg.role === 'user');
+
+  return {
+    title: chat?.title || (firstUserMessage ? formatChatTitle(getMessageText(firstUserMessage)) : 'New Chat'),
+    provider: getProvider(chat?.provider).name,
+    model: chat?.model || document.getElementById('model')?.value || 'unknown',
+    createdAt: chat?.createdAt || null,
+    updatedAt: chat?.timestamp || null,
+    exportedAt: new Date().toISOString()
+  };
+}
+
+function formatExportDate(isoString) {
+  return isoString ? new Date(isoString).toLocaleString() : '—';
+}
+
+function getExportFilename(meta, extension) {
+  const slug = meta.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+  return `${slug || 'conversation'}-${Date.now()}.${extension}`;
+}
+
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Message contents are already Markdown, so they are written out verbatim and fenced code survives untouched
+function conversationToMarkdown(meta) {
+  const lines = [
+    `# ${meta.title}`,
+    '',
+    `- **Provider:** ${meta.provider}`,
+    `- **Model:** ${meta.model}`,
+    `- **Created:** ${formatExportDate(meta.createdAt)}`,
+    `- **Last updated:** ${formatExportDate(meta.updatedAt)}`,
+    `- **Exported:** ${formatExportDate(meta.exportedAt)}`,
+    ''
+  ];
+
+  conversation.forEach(msg => {
+    lines.push('---', '', `## ${msg.role === 'user' ? 'You' : 'Claude'}`, '');
+    const metaEntries = getMessageMetaEntries(msg);
+    if (metaEntries.length > 0) {
+      lines.push(`_${metaEntries.map(entry => `${entry.label}: ${entry.value}`).join(' · ')}_`, '');
+    }
+    getMessageAttachments(msg).forEach(part => lines.push(`- 📎 ${part.name} (${formatFileSize(part.size || 0)})`));
+    lines.push(getMessageText(msg).trim(), '');
+    if (msg.truncated) {
+      lines.push('_Reply interrupted._', '');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+// The stylesheet is inlined when it can be fetched; otherwise the export links to it
+async function getPrismThemeCss() {
+  const link = document.querySelector('link[rel="stylesheet"][href*="prism"]');
+  if (!link) return { css: '', href: null };
+
+  try {
+    const response = await fetch(link.href);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return { css: await response.text(), href: null };
+  } catch (error) {
+    console.warn('Could not inline Prism theme, linking it instead:', error);
+    return { css: '', href: link.href };
+  }
+}
+
+// Images are embedded as data URLs so the file stays self-contained; other attachments are listed by name
+async function renderExportAttachments(msg) {
+  const items = [];
+  for (const part of getMessageAttachments(msg)) {
+    const blob = part.kind === 'image' ? await getAttachmentBlob(part.attachmentId) : null;
+    items.push(blob
+      ? `<img class="export-image" src="data:${escapeHtml(part.mediaType)};base64,${await blobToBase64(blob)}" alt="${escapeHtml(part.name)}">`
+      : `<span class="export-file">📎 ${escapeHtml(part.name)}</span>`);
+  }
+  return items.length > 0 ? `<div class="export-attachments">${items.join('')}</div>` : '';
+}
+
+async function renderExportMessages() {
+  const container = document.createElement('div');
+  const attachmentHtml = await Promise.all(conversation.map(renderExportAttachments));
+
+  container.innerHTML = conversation.map((msg, index) => `
+    <div class="message ${msg.role}">
+      <div class="message-role">${msg.role === 'user' ? '👤 You' : '🤖 Claude'}</div>
+      <div class="content">${attachmentHtml[index]}${parseMarkdown(getMessageText(msg))}</div>
+      ${renderMessageFooter(msg)}
+      ${msg.truncated ? '<div class="interrupted-note">Reply interrupted</div>' : ''}
+    </div>`).join('');
+
+  try {
+    Prism.highlightAllUnder(container);
+  } catch (highlightError) {
+    console.warn("Prism highlighting failed:", highlightError);
+  }
+  // MathML needs neither KaTeX's stylesheet nor its fonts, so the export stays self-contained
+  renderMath(container, { output: 'mathml' });
+  await renderDiagrams(container);
+  // Rendered diagrams replace their source; failed ones keep it
+  container.querySelectorAll('.diagram-rendered pre').forEach(pre => pre.remove());
+
+  container.querySelectorAll('.copy-btn, .code-expand-btn').forEach(button => button.remove());
+  container.querySelectorAll('.code-block-wrapper.collapsed').forEach(wrapper => wrapper.classList.remove('collapsed'));
+  return container.innerHTML;
+}
+
+async function conversationToHtml(meta, { print = false } = {}) {
+  const prismTheme = await getPrismThemeCss();
+  const messagesHtml = await renderExportMessages();
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(meta.title)}</title>
+${prismTheme.href ? `<link rel="stylesheet" href="${escapeHtml(prismTheme.href)}">` : ''}
+<style>${prismTheme.css}${EXPORT_STYLES}${print ? EXPORT_PRINT_STYLES : ''}</style>
+</head>
+<body>
+<h1 class="export-title">${escapeHtml(meta.title)}</h1>
+<div class="export-meta">
+  <span><strong>Model:</strong> ${escapeHtml(meta.provider)} · ${escapeHtml(meta.model)}</span>
+  <span><strong>Created:</strong> ${escapeHtml(formatExportDate(meta.createdAt))}</span>
+  <span><strong>Last updated:</strong> ${escapeHtml(formatExportDate(meta.updatedAt))}</span>
+  <span><strong>Exported:</strong> ${escapeHtml(formatExportDate(meta.exportedAt))}</span>
+</div>
+${messagesHtml}
+${print ? '<script>window.addEventListener("load", () => window.print());<\/script>' : ''}
+</body>
+</html>`;
+}
+
+// Opens the print-styled export in a new window; its print dialog offers "Save as PDF"
+async function openPrintView() {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    showError("Pop-up blocked. Allow pop-ups to open the print view.");
+    return;
+  }
+
+  const html = await conversationToHtml(getExportMetadata(), { print: true });
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+}
+
+async function exportConversation(format) {
+  try {
+    if (format === 'workspace') {
+      await exportWorkspace();
+      return;
+    }
+
+    if (conversation.length === 0) {
+      alert("No conversation to save!");
+      return;
+    }
+
+    if (format === 'print') {
+      await openPrintView();
+      return;
+    }
+
+    const { extension, type } = EXPORT_FORMATS[format];
+    const meta = getExportMetadata();
+    let content;
+
+    if (format === 'markdown') {
+      content = conversationToMarkdown(meta);
+    } else if (format === 'html') {
+      content = await conversationToHtml(meta);
+    } else {
+      content = JSON.stringify(conversation, null, 2);
+    }
+
+    downloadFile(content, getExportFilename(meta, extension), type);
+  } catch (error) {
+    console.error("Error exporting conversation:", error);
+    showError("Error saving conversation: " + error.message);
+  }
+}
+
+function openExportDialog() {
+  const dialog = document.getElementById('exportDialog');
+  if (!dialog) return;
+  dialog.returnValue = ''; // So Escape doesn't repeat the previous export
+  dialog.showModal();
+}
+
+async function loadFromFile(file) {
+  const reader = new FileReader();
+  reader.onload = async (e) => {
+    try {
       const loaded = JSON.parse(e.target.result);
-      if (Array.isArray(loaded)) {
+      if (isWorkspaceBackup(loaded)) {
+        openImportDialog(validateWorkspaceBackup(loaded));
+      } else if (Array.isArray(loaded)) {
         // Save the current conversation before loading a new one
         await updateCurrentChatInHistory();
+        const previousChat = getCurrentChat();
 
-        conversation = loaded;
-        await setItem("conversation", JSON.stringify(conversation));
+        setConversationTree(treeFromConversation(loaded), {});
+        markAllMessagesPending();
         renderFullConversation();
 
         // Create a new chat entry for the loaded conversation
         currentChatId = generateChatId();
         const firstUserMessage = conversation.find(msg => msg.role === 'user');
         const title = firstUserMessage
-          ? formatChatTitle(firstUserMessage.content)
+          ? formatChatTitle(getMessageText(firstUserMessage) || describeAttachments(firstUserMessage))
           : "Loaded Chat";
 
-        chatHistory.unshift({
+        chatHistory.unshift(toChatRecord({
           id: currentChatId,
           title: title,
-          conversation: [...conversation],
+          provider: previousChat?.provider,
+          model: previousChat?.model,
+          branchSelections: { ...branchSelections },
           timestamp: new Date().toISOString()
-        });
-
-        // Keep only the last 20 chats
-        if (chatHistory.length > 20) {
-          chatHistory = chatHistory.slice(0, 20);
-        }
+        }));
 
-        await saveChatHistory();
+        await saveCurrentChat();
         updateChatHistoryList();
         alert("Conversation loaded successfully!");
       } else {
-        throw new Error("Invalid format");
+        throw new Error("Expected a conversation array or a workspace backup.");
       }
     } catch (err) {
       console.error("Error loading conversation:", err);
-      alert("Invalid file format. Please select a valid conversation JSON file.");
+      alert(`Invalid file format. Please select a conversation JSON file or a workspace backup.\n\n${err.message}`);
     }
   };
   reader.onerror = (error) => {
@@ -1129,184 +3653,3394 @@ async function loadFromFile(file) {
   reader.readAsText(file);
 }
 
-// ===== Context limiter =====
-function enforceContextLimits() {
-  if (conversation.length <= MAX_TOTAL_MSGS) {
-    return; // No need to limit if we're under the total limit
-  }
+// ===== Workspace Backup & Restore =====
+// A backup is a versioned envelope holding every chat with its full message tree,
+// the attached files (base64), the persona library and app settings. API keys never leave this browser.
+// Version 2 added "attachments"; version 1 backups still import, without files.
+const WORKSPACE_FORMAT = 'claude-ai-chat-workspace';
+const WORKSPACE_SCHEMA_VERSION = 2;
+const WORKSPACE_SETTING_KEYS = ['providerSettings', 'contextMode', 'debugMode', 'settings', 'modelRates', 'promptTemplates'];
+const MESSAGE_ROLES = ['user', 'assistant'];
+
+// Workspace waiting for the user to confirm the import preview
+let pendingWorkspaceImport = null;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Bring a backed-up setting into the form it is stored in (the structured ones as JSON), or
+// return undefined when the app could not load it. Checked before anything is written, so a bad
+// value rejects the backup instead of failing halfway through a restore or breaking the UI later.
+function parseWorkspaceSetting(key, value) {
+  let parsed = value;
+  if (typeof value === 'string' && ['providerSettings', 'settings', 'modelRates', 'promptTemplates'].includes(key)) {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  const isNumberOrNull = entry => entry == null || Number.isFinite(entry);
+  switch (key) {
+    case 'providerSettings':
+      return isPlainObject(parsed) && Object.values(parsed).every(config => config == null || isPlainObject(config)) ? parsed : undefined;
+    case 'contextMode':
+      return [CONTEXT_MODE_TRIM, CONTEXT_MODE_SUMMARIZE].includes(parsed) ? parsed : undefined;
+    case 'debugMode':
+      return typeof parsed === 'boolean' || parsed === 'true' || parsed === 'false' ? String(parsed) : undefined;
+    case 'settings': {
+      // Every known field must have the type of its default; nullable ones hold a number or an id
+      const valid = isPlainObject(parsed) && Object.entries(parsed).every(([field, entry]) => {
+        if (!(field in DEFAULT_SETTINGS)) return true;
+        const fallback = DEFAULT_SETTINGS[field];
+        if (Array.isArray(fallback)) return Array.isArray(entry) && entry.every(item => typeof item === 'string');
+        if (fallback === null) return entry === null || ['number', 'string'].includes(typeof entry);
+        return typeof entry === typeof fallback;
+      });
+      return valid ? JSON.stringify(parsed) : undefined;
+    }
+    case 'modelRates': {
+      const valid = isPlainObject(parsed) && Object.values(parsed).every(rate => isPlainObject(rate) && isNumberOrNull(rate.input) && isNumberOrNull(rate.output));
+      return valid ? JSON.stringify(parsed) : undefined;
+    }
+    case 'promptTemplates': {
+      const valid = Array.isArray(parsed) && parsed.every(template =>
+        isPlainObject(template) && typeof template.id === 'string' && typeof template.name === 'string' && typeof template.content === 'string');
+      return valid ? JSON.stringify(parsed) : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function withoutApiKeys(settings) {
+  const stripped = {};
+  Object.entries(settings || {}).forEach(([providerId, providerConfig]) => {
+    const { apiKey, ...rest } = providerConfig || {};
+    stripped[providerId] = rest;
+  });
+  return stripped;
+}
+
+async function buildWorkspaceBackup() {
+  // Flush unsaved messages of the open chat first
+  if (conversation.length > 0) {
+    await updateCurrentChatInHistory();
+  }
+
+  const messages = await getAllRecords(MESSAGES_STORE);
+  const messagesByChat = new Map();
+  messages.forEach(({ chatId, ...msg }) => {
+    if (!messagesByChat.has(chatId)) messagesByChat.set(chatId, []);
+    messagesByChat.get(chatId).push(msg);
+  });
+
+  const settings = {};
+  for (const key of WORKSPACE_SETTING_KEYS) {
+    settings[key] = await getItem(key);
+  }
+  settings.providerSettings = withoutApiKeys(
+    typeof settings.providerSettings === 'string' ? JSON.parse(settings.providerSettings) : settings.providerSettings
+  );
+
+  const chatIds = new Set(chatHistory.map(chat => chat.id));
+  const attachmentRecords = (await getAllRecords(ATTACHMENTS_STORE)).filter(record => chatIds.has(record.chatId) && record.blob);
+  const attachments = await Promise.all(attachmentRecords.map(async ({ blob, ...record }) => ({ ...record, data: await blobToBase64(blob) })));
+
+  return {
+    format: WORKSPACE_FORMAT,
+    schemaVersion: WORKSPACE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    chats: chatHistory.map(chat => ({ ...toChatRecord(chat), messages: messagesByChat.get(chat.id) || [] })),
+    attachments,
+    personas,
+    settings
+  };
+}
+
+async function exportWorkspace() {
+  try {
+    const backup = await buildWorkspaceBackup();
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(JSON.stringify(backup, null, 2), `workspace-backup-${date}.json`, 'application/json');
+  } catch (error) {
+    console.error("Error exporting workspace:", error);
+    showError("Error creating backup: " + error.message);
+  }
+}
+
+function isWorkspaceBackup(data) {
+  return Boolean(data) && typeof data === 'object' && !Array.isArray(data) && data.format === WORKSPACE_FORMAT;
+}
+
+// Checks the envelope and returns its chats, personas and settings in normalized form.
+// Throws with a list of every problem found so the user sees why a file was rejected.
+function validateWorkspaceBackup(data) {
+  const problems = [];
+  const isString = value => typeof value === 'string' && value !== '';
+
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+    throw new Error('Missing or invalid schema version.');
+  }
+  if (data.schemaVersion > WORKSPACE_SCHEMA_VERSION) {
+    throw new Error(`Backup uses schema version ${data.schemaVersion}, but this app only understands up to version ${WORKSPACE_SCHEMA_VERSION}. Update the app and try again.`);
+  }
+  if (!Array.isArray(data.chats)) {
+    throw new Error('"chats" must be an array.');
+  }
+
+  const seenChatIds = new Set();
+  // Message and attachment ids key their stores, so a repeated id would overwrite another record
+  const seenMessageIds = new Set();
+  const chats = [];
+
+  data.chats.forEach((chat, chatIndex) => {
+    const label = `Chat ${chatIndex + 1}`;
+    if (!chat || typeof chat !== 'object' || !isString(chat.id)) {
+      problems.push(`${label}: missing id.`);
+      return;
+    }
+    if (seenChatIds.has(chat.id)) {
+      problems.push(`${label}: duplicate id "${chat.id}".`);
+      return;
+    }
+    if (chat.title != null && typeof chat.title !== 'string') {
+      problems.push(`${label}: title must be text.`);
+      return;
+    }
+    if (!Array.isArray(chat.messages)) {
+      problems.push(`${label}: "messages" must be an array.`);
+      return;
+    }
+    seenChatIds.add(chat.id);
+
+    const messageIds = new Set(chat.messages.map(msg => msg?.id));
+    chat.messages.forEach((msg, msgIndex) => {
+      const where = `${label}, message ${msgIndex + 1}`;
+      if (!msg || !isString(msg.id)) problems.push(`${where}: missing id.`);
+      else if (seenMessageIds.has(msg.id)) problems.push(`${where}: duplicate id "${msg.id}".`);
+      else if (!MESSAGE_ROLES.includes(msg.role)) problems.push(`${where}: unknown role "${msg.role}".`);
+      else if (typeof msg.content !== 'string' && !Array.isArray(msg.content)) problems.push(`${where}: content must be text or a list of parts.`);
+      else if (msg.parentId != null && !messageIds.has(msg.parentId)) problems.push(`${where}: parent "${msg.parentId}" is not in this chat.`);
+      if (isString(msg?.id)) seenMessageIds.add(msg.id);
+    });
+
+    const { messages, ...record } = chat;
+    chats.push({ record: toChatRecord(record), messages: messages.map(msg => ({ ...msg, parentId: msg.parentId ?? null, chatId: chat.id })) });
+  });
+
+  const attachments = [];
+  const seenAttachmentIds = new Set();
+  const importedAttachments = data.attachments ?? [];
+  if (!Array.isArray(importedAttachments)) {
+    problems.push('"attachments" must be an array.');
+  } else {
+    importedAttachments.forEach((attachment, index) => {
+      const label = `Attachment ${index + 1}`;
+      if (!attachment || !isString(attachment.id) || !isString(attachment.name) || typeof attachment.data !== 'string') {
+        problems.push(`${label}: needs an id, a name and its data.`);
+      } else if (seenAttachmentIds.has(attachment.id)) {
+        problems.push(`${label}: duplicate id "${attachment.id}".`);
+      } else if (!seenChatIds.has(attachment.chatId)) {
+        problems.push(`${label}: chat "${attachment.chatId}" is not in this backup.`);
+      } else if (typeof attachment.mediaType !== 'string' || !getAttachmentKind({ type: attachment.mediaType, name: attachment.name })) {
+        problems.push(`${label}: unsupported file type "${attachment.mediaType}".`);
+      } else {
+        seenAttachmentIds.add(attachment.id);
+        const { data: base64, ...record } = attachment;
+        const kind = getAttachmentKind({ type: record.mediaType, name: record.name });
+        try {
+          attachments.push({ ...record, kind, blob: base64ToBlob(base64, record.mediaType) });
+        } catch (error) {
+          problems.push(`${label}: data is not valid base64.`);
+        }
+      }
+    });
+  }
+
+  // Attachment parts are rendered from their kind and media type, so both come from the
+  // validated file rather than from what the message claims
+  const attachmentsById = new Map(attachments.map(attachment => [attachment.id, attachment]));
+  chats.forEach(chat => chat.messages.forEach(msg => {
+    if (!Array.isArray(msg.content)) return;
+    msg.content = msg.content.map(part => {
+      if (part?.type !== 'attachment') return part;
+      const file = attachmentsById.get(part.attachmentId);
+      const mediaType = file ? file.mediaType : String(part.mediaType || '');
+      const kind = getAttachmentKind({ type: mediaType, name: String(part.name || '') }) || 'text';
+      return { ...part, kind, mediaType };
+    });
+  }));
+
+  const importedPersonas = data.personas ?? [];
+  if (!Array.isArray(importedPersonas)) {
+    problems.push('"personas" must be an array.');
+  } else {
+    importedPersonas.forEach((persona, index) => {
+      if (!persona || !isString(persona.id) || !isString(persona.name)) {
+        problems.push(`Persona ${index + 1}: needs an id and a name.`);
+      }
+    });
+  }
+
+  const settings = {};
+  const importedSettings = data.settings ?? {};
+  if (!isPlainObject(importedSettings)) {
+    problems.push('"settings" must be an object.');
+  } else {
+    WORKSPACE_SETTING_KEYS.forEach(key => {
+      if (importedSettings[key] == null) return;
+      const value = parseWorkspaceSetting(key, importedSettings[key]);
+      if (value === undefined) {
+        problems.push(`Setting "${key}" has an invalid value.`);
+      } else {
+        settings[key] = value;
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 5).join('\n');
+    const more = problems.length > 5 ? `\n…and ${problems.length - 5} more.` : '';
+    throw new Error(shown + more);
+  }
+
+  return { chats, attachments, personas: importedPersonas, settings, exportedAt: data.exportedAt || null };
+}
+
+// What an import would do, without writing anything.
+// Merge keeps local chats; a chat with the same id is only overwritten when the backup copy is newer.
+function planWorkspaceImport(workspace, mode) {
+  const localChats = new Map(chatHistory.map(chat => [chat.id, chat]));
+  const plan = { added: [], updated: [], unchanged: [], removed: [], personasAdded: 0, personasUpdated: 0, replacesSettings: mode === 'replace' };
+
+  workspace.chats.forEach(chat => {
+    const local = localChats.get(chat.record.id);
+    if (!local) {
+      plan.added.push(chat);
+    } else if (mode === 'replace' || (chat.record.timestamp || '') > (local.timestamp || '')) {
+      plan.updated.push(chat);
+    } else {
+      plan.unchanged.push(chat);
+    }
+  });
+
+  if (mode === 'replace') {
+    const importedIds = new Set(workspace.chats.map(chat => chat.record.id));
+    plan.removed = chatHistory.filter(chat => !importedIds.has(chat.id));
+  }
+
+  const localPersonaIds = new Set(personas.map(persona => persona.id));
+  workspace.personas.forEach(persona => {
+    if (!localPersonaIds.has(persona.id)) plan.personasAdded++;
+    else if (mode === 'replace') plan.personasUpdated++;
+  });
+
+  return plan;
+}
+
+function renderImportPreview() {
+  const preview = document.getElementById('importPreview');
+  const form = document.getElementById('importForm');
+  if (!preview || !form || !pendingWorkspaceImport) return;
+
+  const mode = form.elements.importMode.value;
+  const plan = planWorkspaceImport(pendingWorkspaceImport, mode);
+  const titles = chats => chats.slice(0, 5).map(chat => escapeHtml(chat.record?.title || chat.title)).join(', ') + (chats.length > 5 ? ', …' : '');
+  const rows = [];
+
+  if (plan.added.length) rows.push(`<li class="import-add"><strong>${plan.added.length}</strong> new chat(s): ${titles(plan.added)}</li>`);
+  if (plan.updated.length) rows.push(`<li class="import-update"><strong>${plan.updated.length}</strong> existing chat(s) overwritten${mode === 'merge' ? ' with newer copies' : ''}: ${titles(plan.updated)}</li>`);
+  if (plan.unchanged.length) rows.push(`<li class="import-skip"><strong>${plan.unchanged.length}</strong> chat(s) already here and not older, kept as is: ${titles(plan.unchanged)}</li>`);
+  if (plan.removed.length) rows.push(`<li class="import-remove"><strong>${plan.removed.length}</strong> local chat(s) not in the backup will be deleted: ${titles(plan.removed)}</li>`);
+  if (plan.personasAdded || plan.personasUpdated) {
+    rows.push(`<li class="import-add"><strong>${plan.personasAdded}</strong> new persona(s)${plan.personasUpdated ? `, <strong>${plan.personasUpdated}</strong> overwritten` : ''}</li>`);
+  }
+  if (mode === 'replace') {
+    const removedPersonas = personas.filter(persona => !pendingWorkspaceImport.personas.some(p => p.id === persona.id)).length;
+    if (removedPersonas) rows.push(`<li class="import-remove"><strong>${removedPersonas}</strong> local persona(s) will be deleted</li>`);
+    rows.push('<li class="import-update">Settings replaced by the backup (API keys are kept)</li>');
+  } else {
+    rows.push('<li class="import-skip">Local settings are kept</li>');
+  }
+
+  preview.innerHTML = `<ul>${rows.join('')}</ul>`;
+}
+
+function openImportDialog(workspace) {
+  const dialog = document.getElementById('importDialog');
+  pendingWorkspaceImport = workspace;
+
+  const exported = workspace.exportedAt ? ` from ${formatExportDate(workspace.exportedAt)}` : '';
+  document.getElementById('importSummary').textContent =
+    `Backup${exported} with ${workspace.chats.length} chat(s) and ${workspace.personas.length} persona(s). Nothing is written until you confirm.`;
+  document.getElementById('importForm').elements.importMode.value = 'merge';
+  renderImportPreview();
+  // Escape closes the dialog without touching returnValue, so clear the last confirmation
+  dialog.returnValue = '';
+  dialog.showModal();
+}
+
+// Local records that share an id with one of `records` but belong to a different chat;
+// writing `records` would silently move them out of their chat
+async function findRecordsOfOtherChats(storeName, records) {
+  const importedChatIds = new Map(records.map(record => [record.id, record.chatId]));
+  const existing = await getRecordsByIds(storeName, records.map(record => record.id));
+  return existing.filter(record => record.chatId !== importedChatIds.get(record.id));
+}
+
+async function applyWorkspaceImport(workspace, mode) {
+  if (conversation.length > 0) {
+    await updateCurrentChatInHistory();
+  }
+
+  const plan = planWorkspaceImport(workspace, mode);
+  const replace = mode === 'replace';
+  const incoming = [...plan.added, ...plan.updated];
+
+  // Overwritten chats are swapped wholesale, like deleteChatRecords, so no stale branches,
+  // attachments or queued prompts are left behind
+  const staleMessageIds = [];
+  const staleAttachmentIds = [];
+  const staleOutboxIds = [];
+  if (!replace) {
+    for (const chat of plan.updated) {
+      const chatId = chat.record.id;
+      staleMessageIds.push(...(await getAllRecords(MESSAGES_STORE, 'chatId', chatId)).map(msg => msg.id));
+      staleAttachmentIds.push(...(await getAllRecords(ATTACHMENTS_STORE, 'chatId', chatId)).map(attachment => attachment.id));
+      staleOutboxIds.push(...(await getAllRecords(OUTBOX_STORE, 'chatId', chatId)).map(item => item.id));
+    }
+  }
+
+  const newMessages = incoming.flatMap(chat => chat.messages);
+  const incomingChatIds = new Set(incoming.map(chat => chat.record.id));
+  const newAttachments = workspace.attachments.filter(attachment => incomingChatIds.has(attachment.chatId));
+  if (!replace) {
+    const clashes = [
+      ...await findRecordsOfOtherChats(MESSAGES_STORE, newMessages),
+      ...await findRecordsOfOtherChats(ATTACHMENTS_STORE, newAttachments)
+    ];
+    if (clashes.length > 0) {
+      throw new Error(`${clashes.length} message(s) or attachment(s) in the backup reuse ids of other local chats, e.g. "${clashes[0].id}". Nothing was imported; use "Replace" to restore this backup.`);
+    }
+  }
+  const saved = await writeRecords([
+    { store: CHATS_STORE, clear: replace, put: incoming.map(chat => chat.record) },
+    { store: MESSAGES_STORE, clear: replace, delete: staleMessageIds, put: newMessages },
+    { store: SEARCH_STORE, clear: replace, delete: staleMessageIds, put: newMessages.map(msg => toSearchRecord(msg, msg.chatId)) },
+    { store: ATTACHMENTS_STORE, clear: replace, delete: staleAttachmentIds, put: newAttachments },
+    { store: OUTBOX_STORE, clear: replace, delete: staleOutboxIds }
+  ]);
+  if (!saved) {
+    throw new Error('Could not write the imported chats.');
+  }
+
+  if (replace) {
+    personas = workspace.personas;
+  } else {
+    const localPersonaIds = new Set(personas.map(persona => persona.id));
+    personas = [...personas, ...workspace.personas.filter(persona => !localPersonaIds.has(persona.id))];
+  }
+  await savePersonas();
+
+  if (replace) {
+    for (const key of WORKSPACE_SETTING_KEYS) {
+      const value = workspace.settings[key];
+      if (key === 'providerSettings') {
+        // Keep the locally stored keys; backups never contain them
+        const imported = withoutApiKeys(value);
+        const merged = {};
+        Object.keys(providerSettings).forEach(providerId => {
+          merged[providerId] = { ...imported[providerId], apiKey: providerSettings[providerId].apiKey };
+        });
+        await setItem(key, JSON.stringify(merged));
+      } else if (value == null) {
+        await removeItem(key);
+      } else {
+        await setItem(key, value);
+      }
+    }
+  }
+
+  await reloadFromStorage();
+  return plan;
+}
+
+// ===== Display limiter for UI =====
+const MAX_DISPLAY_MSGS = 50;
+function enforceDisplayLimits(outputElement) {
+  const messages = outputElement.querySelectorAll('.message');
+  if (messages.length > MAX_DISPLAY_MSGS) {
+    // Remove the oldest messages from the UI
+    for (let i = 0; i < messages.length - MAX_DISPLAY_MSGS; i++) {
+      messages[i].remove();
+    }
+  }
+}
+
+// ===== Auto-save =====
+let saveTimeout;
+async function autoSave() {
+  clearTimeout(saveTimeout);
+  saveTimeout = setTimeout(async () => {
+    try {
+      await saveCurrentChat();
+    } catch (error) {
+      console.error("Error saving:", error);
+    }
+  }, 1000); // Save after 1 second of inactivity
+}
+
+// ===== Attachments =====
+// Files picked, pasted or dropped into the composer become { type: 'attachment' } parts of the
+// user message's content array. The bytes live in the attachments store as Blobs and are only
+// read back (and base64-encoded) when a request is built or a preview is shown.
+const ATTACHMENT_LIMITS = {
+  image: 5 * 1024 * 1024,
+  pdf: 32 * 1024 * 1024,
+  text: 1024 * 1024
+};
+const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const TEXT_FILE_EXTENSIONS = /\.(txt|md|markdown|csv|tsv|json|xml|ya?ml|toml|ini|log|html?|css|js|mjs|cjs|jsx|ts|tsx|py|rb|go|rs|java|kt|c|cc|cpp|h|hpp|cs|php|sh|sql)$/i;
+const IMAGE_TOKEN_ESTIMATE = 1600; // Roughly what a full-size image costs on Claude models
+const PDF_BYTES_PER_TOKEN = 50; // PDFs are billed per page as text plus image, so budget generously
+
+// Attachments waiting in the composer: [{ id, kind, name, mediaType, size, blob }]
+let pendingAttachments = [];
+// Object URLs for previews, keyed by attachment id
+const attachmentUrls = new Map();
+
+function generateAttachmentId() {
+  return 'att_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+function getAttachmentKind(file) {
+  if (SUPPORTED_IMAGE_TYPES.includes(file.type)) return 'image';
+  if (file.type === 'application/pdf') return 'pdf';
+  if (file.type.startsWith('text/') || file.type === 'application/json' || TEXT_FILE_EXTENSIONS.test(file.name)) return 'text';
+  return null;
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function addAttachments(files) {
+  const rejected = [];
+
+  Array.from(files || []).forEach(file => {
+    const kind = getAttachmentKind(file);
+    if (!kind) {
+      rejected.push(`${file.name}: unsupported file type`);
+    } else if (file.size > ATTACHMENT_LIMITS[kind]) {
+      rejected.push(`${file.name}: larger than ${formatFileSize(ATTACHMENT_LIMITS[kind])}`);
+    } else {
+      pendingAttachments.push({
+        id: generateAttachmentId(),
+        kind,
+        name: file.name || `pasted-${kind}`,
+        mediaType: file.type || 'text/plain',
+        size: file.size,
+        blob: file
+      });
+    }
+  });
+
+  if (rejected.length > 0) {
+    showError(`Some files were not attached:\n${rejected.join('\n')}`);
+  }
+  renderAttachmentTray();
+}
+
+function removePendingAttachment(attachmentId) {
+  pendingAttachments = pendingAttachments.filter(attachment => attachment.id !== attachmentId);
+  renderAttachmentTray();
+}
+
+function getAttachmentUrl(attachmentId, blob) {
+  if (!attachmentUrls.has(attachmentId)) {
+    attachmentUrls.set(attachmentId, URL.createObjectURL(blob));
+  }
+  return attachmentUrls.get(attachmentId);
+}
+
+// Free the previews of a chat that is no longer shown; the composer's files keep theirs
+function releaseAttachmentUrls() {
+  const pendingIds = new Set(pendingAttachments.map(attachment => attachment.id));
+  attachmentUrls.forEach((url, attachmentId) => {
+    if (pendingIds.has(attachmentId)) return;
+    URL.revokeObjectURL(url);
+    attachmentUrls.delete(attachmentId);
+  });
+}
+
+function renderAttachmentTray() {
+  const tray = document.getElementById('attachmentTray');
+  if (!tray) return;
+
+  tray.hidden = pendingAttachments.length === 0;
+  tray.innerHTML = pendingAttachments.map(attachment => `
+    <div class="attachment-chip pending" data-attachment-id="${escapeHtml(attachment.id)}" title="${escapeHtml(attachment.name)} (${formatFileSize(attachment.size)})">
+      ${attachment.kind === 'image'
+        ? `<img class="attachment-thumb" src="${getAttachmentUrl(attachment.id, attachment.blob)}" alt="">`
+        : `<span class="attachment-icon">${attachment.kind === 'pdf' ? '📕' : '📄'}</span>`}
+      <span class="attachment-name">${escapeHtml(attachment.name)}</span>
+      <button type="button" class="attachment-remove" data-action="remove-attachment" aria-label="Remove ${escapeHtml(attachment.name)}">×</button>
+    </div>`).join('');
+}
+
+// Store the blobs and return the parts that reference them from the message content
+async function storeAttachments(attachments, chatId) {
+  const saved = await writeRecords([{
+    store: ATTACHMENTS_STORE,
+    put: attachments.map(({ id, kind, name, mediaType, size, blob }) => ({ id, chatId, kind, name, mediaType, size, blob }))
+  }]);
+  if (!saved) {
+    throw new Error('Could not save attachments.');
+  }
+
+  return attachments.map(({ id, kind, name, mediaType, size }) => ({ type: 'attachment', attachmentId: id, kind, name, mediaType, size }));
+}
+
+async function getAttachmentBlob(attachmentId) {
+  const [record] = await getRecordsByIds(ATTACHMENTS_STORE, [attachmentId]);
+  return record?.blob || null;
+}
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function base64ToBlob(base64, mediaType) {
+  const binary = atob(base64);
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new Blob([bytes], { type: mediaType || '' });
+}
+
+// Thumbnails for images, file chips for everything else; sources are filled in by hydrateAttachmentPreviews
+function renderAttachmentParts(msg) {
+  const attachments = getMessageAttachments(msg);
+  if (attachments.length === 0) return '';
+
+  return `<div class="message-attachments">${attachments.map(part => part.kind === 'image' && SUPPORTED_IMAGE_TYPES.includes(part.mediaType)
+    ? `<a class="attachment-preview" data-attachment-id="${escapeHtml(part.attachmentId)}" target="_blank" rel="noopener" title="${escapeHtml(part.name)}">
+        <img class="attachment-thumb" alt="${escapeHtml(part.name)}">
+      </a>`
+    : `<a class="attachment-chip" data-attachment-id="${escapeHtml(part.attachmentId)}" download="${escapeHtml(part.name)}" title="${escapeHtml(part.name)} (${formatFileSize(part.size || 0)})">
+        <span class="attachment-icon">${part.kind === 'pdf' ? '📕' : '📄'}</span>
+        <span class="attachment-name">${escapeHtml(part.name)}</span>
+      </a>`).join('')}</div>`;
+}
+
+async function hydrateAttachmentPreviews(container) {
+  const links = container.querySelectorAll('.message-attachments [data-attachment-id]:not([href])');
+
+  for (const link of links) {
+    const attachmentId = link.dataset.attachmentId;
+    try {
+      let url = attachmentUrls.get(attachmentId);
+      if (!url) {
+        const blob = await getAttachmentBlob(attachmentId);
+        if (!blob) {
+          link.classList.add('missing');
+          link.title += ' (file no longer available)';
+          continue;
+        }
+        url = getAttachmentUrl(attachmentId, blob);
+      }
+
+      link.href = url;
+      link.querySelector('img')?.setAttribute('src', url);
+    } catch (error) {
+      console.error(`Error loading attachment ${attachmentId}:`, error);
+    }
+  }
+}
+
+// Provider-neutral parts: { type: 'text', text } | { type: 'image' | 'document', mediaType, data }.
+// Text files are inlined so every provider can read them.
+async function resolveMessageContent(content) {
+  if (!Array.isArray(content)) return content;
+
+  const parts = [];
+  for (const part of content) {
+    if (part.type !== 'attachment') {
+      parts.push({ type: 'text', text: part.text || '' });
+      continue;
+    }
+
+    const blob = await getAttachmentBlob(part.attachmentId);
+    if (!blob) {
+      parts.push({ type: 'text', text: `[Attachment "${part.name}" is no longer available]` });
+    } else if (part.kind === 'text') {
+      // Fence with more backticks than the file itself uses, so its own code fences survive
+      const text = await blob.text();
+      const fence = '`'.repeat(Math.max(3, ...(text.match(/`+/g) || []).map(run => run.length + 1)));
+      parts.push({ type: 'text', text: `Contents of ${part.name}:\n${fence}\n${text}\n${fence}` });
+    } else {
+      parts.push({
+        type: part.kind === 'image' ? 'image' : 'document',
+        mediaType: part.mediaType,
+        name: part.name,
+        data: await blobToBase64(blob)
+      });
+    }
+  }
+  return parts;
+}
+
+function estimateAttachmentTokens(part) {
+  if (part.kind === 'image') return IMAGE_TOKEN_ESTIMATE;
+  if (part.kind === 'pdf') return Math.ceil((part.size || 0) / PDF_BYTES_PER_TOKEN);
+  return Math.ceil((part.size || 0) / CHARS_PER_TOKEN);
+}
+
+function attachFromDataTransfer(dataTransfer) {
+  const files = Array.from(dataTransfer?.files || []);
+  if (files.length === 0) return false;
+  addAttachments(files);
+  return true;
+}
+
+// ===== AI Providers =====
+// Every provider exposes the same shape: listModels() resolves to [{ value, name, badge? }]
+// and streamChat(messages, options) is an async generator yielding { text } parts (and
+// { usage: { inputTokens, outputTokens } } when the API reports token counts), so
+// sendMessage() streams through one code path whichever backend is active.
+// options: { model, signal, temperature, maxTokens, topP, stopSequences } - providers that use
+// fetch pass the AbortSignal through; unset parameters leave the provider's defaults.
+// healthCheckUrl() names a URL on the provider's host for the connectivity probe.
+const DEFAULT_PROVIDER_ID = 'puter';
+
+const PUTER_MODELS = [
+  { value: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5', badge: 'Latest', contextWindow: 200000 },
+  { value: 'claude-sonnet-4-latest', name: 'Claude Sonnet 4', contextWindow: 200000 },
+  { value: 'claude-opus-4.5', name: 'Claude Opus 4.5', badge: 'Pro', contextWindow: 200000 },
+  { value: 'claude-opus-4-latest', name: 'Claude Opus 4', contextWindow: 200000 },
+  { value: 'claude-opus-4-1', name: 'Claude Opus 4.1', contextWindow: 200000 },
+  { value: 'claude-haiku-4-5', name: 'Claude Haiku 4.5', badge: 'Fast', contextWindow: 200000 },
+  { value: 'claude-3-opus', name: 'Claude Opus 3', contextWindow: 200000 },
+  { value: 'claude-3.5-sonnet', name: 'Claude Sonnet 3.5', contextWindow: 200000 },
+  { value: 'claude-3-7-sonnet-latest', name: 'Claude Sonnet 3.7', contextWindow: 200000 },
+  { value: 'gpt-4o', name: 'GPT 4o', contextWindow: 128000 },
+  { value: 'gpt-5.1', name: 'GPT 5.1', contextWindow: 400000 }
+];
+
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Endpoint settings for the direct providers, persisted under the "providerSettings" key
+let providerSettings = {
+  anthropic: { baseUrl: 'https://api.anthropic.com', apiKey: '', models: '' },
+  openai: { baseUrl: 'https://api.openai.com/v1', apiKey: '', models: '' }
+};
+
+// OpenAI-compatible base URLs that answered 400 to stream_options this session (older vLLM and
+// LiteLLM builds, some proxies); their replies are sent without token counts
+const endpointsWithoutStreamUsage = new Set();
+
+const PROVIDERS = {
+  puter: {
+    id: 'puter',
+    name: 'Puter.js',
+
+    healthCheckUrl() {
+      return 'https://api.puter.com/';
+    },
+
+    async listModels() {
+      return PUTER_MODELS;
+    },
+
+    async *streamChat(messages, options) {
+      const chatOptions = { model: options.model, stream: true };
+      if (options.temperature != null) chatOptions.temperature = options.temperature;
+      if (options.maxTokens) chatOptions.max_tokens = options.maxTokens;
+      if (options.topP != null) chatOptions.top_p = options.topP;
+      if (options.stopSequences?.length) chatOptions.stop = options.stopSequences;
+
+      // Puter accepts OpenAI-style content parts for images and files
+      const response = await puter.ai.chat(messages.map(toOpenAIMessage), chatOptions);
+      for await (const part of response) {
+        if (part?.text) {
+          yield { text: part.text };
+        }
+        if (part?.usage) {
+          yield { usage: normalizeUsage(part.usage) };
+        }
+      }
+    }
+  },
+
+  anthropic: {
+    id: 'anthropic',
+    name: 'Anthropic API',
+
+    healthCheckUrl() {
+      return providerSettings.anthropic.baseUrl || null;
+    },
+
+    async listModels() {
+      return listConfiguredModels('anthropic', '/v1/models', {
+        'x-api-key': providerSettings.anthropic.apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      });
+    },
+
+    async *streamChat(messages, options) {
+      const settings = providerSettings.anthropic;
+      // The Messages API takes the system prompt as a top-level field, not as a message
+      const system = messages
+        .filter(msg => msg.role === 'system')
+        .map(msg => msg.content)
+        .join('\n\n');
+
+      const body = {
+        model: options.model,
+        max_tokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+        messages: messages.filter(msg => msg.role !== 'system').map(toAnthropicMessage),
+        stream: true
+      };
+      if (system) body.system = system;
+      if (options.temperature != null) body.temperature = options.temperature;
+      if (options.topP != null) body.top_p = options.topP;
+      if (options.stopSequences?.length) body.stop_sequences = options.stopSequences;
+
+      const response = await fetch(joinUrl(settings.baseUrl, '/v1/messages'), {
+        method: 'POST',
+        signal: options.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': settings.apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: JSON.stringify(body)
+      });
+      await assertProviderResponse(this, response);
+
+      for await (const event of readServerSentEvents(response)) {
+        const data = JSON.parse(event.data);
+        if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+          yield { text: data.delta.text };
+        } else if (data.type === 'message_start' && data.message?.usage) {
+          yield { usage: normalizeUsage(data.message.usage) };
+        } else if (data.type === 'message_delta' && data.usage) {
+          // Only the output count is final here
+          yield { usage: { outputTokens: data.usage.output_tokens } };
+        } else if (data.type === 'error') {
+          throw createProviderError(`${this.name}: ${data.error?.message || 'Stream error'}`, { code: data.error?.type });
+        }
+      }
+    }
+  },
+
+  openai: {
+    id: 'openai',
+    name: 'OpenAI-compatible',
+
+    healthCheckUrl() {
+      return providerSettings.openai.baseUrl || null;
+    },
+
+    async listModels() {
+      return listConfiguredModels('openai', '/models', {
+        'Authorization': `Bearer ${providerSettings.openai.apiKey}`
+      });
+    },
+
+    async *streamChat(messages, options) {
+      const settings = providerSettings.openai;
+      const headers = { 'Content-Type': 'application/json' };
+      if (settings.apiKey) {
+        headers['Authorization'] = `Bearer ${settings.apiKey}`;
+      }
+
+      const request = (withUsage) => fetch(joinUrl(settings.baseUrl, '/chat/completions'), {
+        method: 'POST',
+        signal: options.signal,
+        headers,
+        body: JSON.stringify({
+          model: options.model,
+          messages: messages.map(toOpenAIMessage),
+          stream: true,
+          // Ask for a final chunk with token counts
+          ...(withUsage && { stream_options: { include_usage: true } }),
+          ...(options.temperature != null && { temperature: options.temperature }),
+          ...(options.maxTokens && { max_tokens: options.maxTokens }),
+          ...(options.topP != null && { top_p: options.topP }),
+          ...(options.stopSequences?.length && { stop: options.stopSequences })
+        })
+      });
+
+      const askForUsage = !endpointsWithoutStreamUsage.has(settings.baseUrl);
+      let response = await request(askForUsage);
+      if (response.status === 400 && askForUsage) {
+        // Servers that reject unknown parameters: try once more without it and remember if that works
+        const retry = await request(false);
+        if (retry.ok) {
+          endpointsWithoutStreamUsage.add(settings.baseUrl);
+          response = retry;
+        }
+      }
+      await assertProviderResponse(this, response);
+
+      for await (const event of readServerSentEvents(response)) {
+        if (event.data === '[DONE]') break;
+        const data = JSON.parse(event.data);
+        if (data.error) {
+          throw createProviderError(`${this.name}: ${data.error.message || 'Stream error'}`, { code: data.error.code || data.error.type });
+        }
+        const text = data.choices?.[0]?.delta?.content;
+        if (text) {
+          yield { text };
+        }
+        if (data.usage) {
+          yield { usage: normalizeUsage(data.usage) };
+        }
+      }
+    }
+  }
+};
+
+// Map provider-neutral content parts (see resolveMessageContent) to each API's format
+function toAnthropicMessage(msg) {
+  if (!Array.isArray(msg.content)) return msg;
+  return {
+    role: msg.role,
+    content: msg.content.map(part => part.type === 'text'
+      ? part
+      : { type: part.type, source: { type: 'base64', media_type: part.mediaType, data: part.data } })
+  };
+}
+
+function toOpenAIMessage(msg) {
+  if (!Array.isArray(msg.content)) return msg;
+  return {
+    role: msg.role,
+    content: msg.content.map(part => {
+      const dataUrl = `data:${part.mediaType};base64,${part.data}`;
+      if (part.type === 'image') return { type: 'image_url', image_url: { url: dataUrl } };
+      if (part.type === 'document') return { type: 'file', file: { filename: part.name, file_data: dataUrl } };
+      return part;
+    })
+  };
+}
+
+// Token counts as { inputTokens, outputTokens } from Anthropic- or OpenAI-style usage objects
+function normalizeUsage(usage) {
+  const normalized = {
+    inputTokens: usage.input_tokens ?? usage.prompt_tokens ?? usage.inputTokens,
+    outputTokens: usage.output_tokens ?? usage.completion_tokens ?? usage.outputTokens
+  };
+  return Object.fromEntries(Object.entries(normalized).filter(([, count]) => Number.isFinite(count)));
+}
+
+function getProvider(providerId) {
+  return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER_ID];
+}
+
+function getActiveProvider() {
+  const currentChat = getCurrentChat();
+  return getProvider(currentChat?.provider);
+}
+
+function joinUrl(baseUrl, path) {
+  return (baseUrl || '').replace(/\/+$/, '') + path;
+}
+
+// Models for a direct provider: the configured list if there is one, otherwise whatever the endpoint reports
+async function listConfiguredModels(providerId, modelsPath, headers) {
+  const settings = providerSettings[providerId];
+  const configured = (settings.models || '')
+    .split(/[,\n]/)
+    .map(model => model.trim())
+    .filter(Boolean);
+
+  if (configured.length > 0) {
+    return configured.map(model => ({ value: model, name: model }));
+  }
+
+  if (!settings.baseUrl) return [];
+
+  try {
+    const response = await fetch(joinUrl(settings.baseUrl, modelsPath), { headers });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    return (data.data || []).map(model => ({
+      value: model.id,
+      name: model.display_name || model.id
+    }));
+  } catch (error) {
+    console.warn(`Could not list models for ${providerId}:`, error);
+    return [];
+  }
+}
+
+async function assertProviderResponse(provider, response) {
+  if (response.ok) return;
+
+  if (await isOfflineResponse(response)) {
+    throw createProviderError(`${provider.name}: offline`, { status: response.status, code: 'offline' });
+  }
+
+  let message = response.statusText || 'Request failed';
+  let code = null;
+  try {
+    const data = await response.json();
+    message = data.error?.message || data.message || message;
+    code = data.error?.code || data.error?.type || null;
+  } catch (e) {
+    // Body was not JSON, keep the status text
+  }
+
+  throw createProviderError(`${provider.name} error ${response.status}: ${message}`, {
+    status: response.status,
+    code,
+    retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+  });
+}
+
+function createProviderError(message, { status = null, code = null, retryAfter = null } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Retry-After is either a number of seconds or an HTTP date; returns milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isNaN(seconds) ? Date.parse(value) - Date.now() : seconds * 1000;
+  return Number.isNaN(ms) ? null : Math.max(ms, 0);
+}
+
+// ===== Request Errors & Retries =====
+// Provider failures are sorted into a few types so the user sees what went wrong and what to
+// do about it, and so only transient ones are retried. Errors come as Errors from fetch-based
+// providers (with status/code from createProviderError) or as plain objects from puter.js.
+const REQUEST_ERROR_TYPES = {
+  network: { retryable: true, message: "Can't reach the AI provider. Check your connection." },
+  'rate-limit': { retryable: true, message: 'The provider is rate limiting requests. Please wait a moment.' },
+  server: { retryable: true, message: 'The provider is overloaded or having problems. Please try again shortly.' },
+  auth: { retryable: false, message: 'The provider rejected the credentials. Check the API key in the provider settings.' },
+  quota: { retryable: false, message: 'The usage quota or credit for this provider is used up.' },
+  'content-filter': { retryable: false, message: "The provider's content filter blocked this request. Try rephrasing it." },
+  unknown: { retryable: false, message: 'The request failed.' }
+};
+
+const REQUEST_MAX_ATTEMPTS = 4;
+const REQUEST_RETRY_BASE_MS = 1000;
+const REQUEST_RETRY_MAX_MS = 30000;
+
+// Message patterns, checked in order, for errors that carry no usable status or code
+const REQUEST_ERROR_PATTERNS = [
+  ['network', /offline|failed to fetch|networkerror|network (connection|error|request)|load failed/i],
+  ['quota', /quota|insufficient[_ ]?(funds|credits?|balance)|billing|usage limit/i],
+  ['rate-limit', /rate[_ -]?limit|too many requests/i],
+  ['auth', /unauthori[sz]ed|authentication|invalid[_ ](api[_ ]?key|x-api-key|token)|permission[_ ](denied|error)|not logged in/i],
+  ['content-filter', /content[_ ](filter|policy|management)|safety (system|filter)|moderation|flagged/i],
+  ['server', /overloaded|internal server error|service unavailable|bad gateway|timed? ?out|temporarily/i]
+];
+
+function getRequestErrorDetail(error) {
+  if (typeof error === 'string') return error;
+  if (error?.message) return error.message;
+  if (typeof error?.error === 'string') return error.error;
+  return error?.error?.message || 'Unknown error';
+}
+
+function getRequestErrorType(error) {
+  const status = error?.status ?? error?.error?.status;
+  const code = String(error?.code ?? error?.error?.code ?? error?.error?.type ?? '');
+  const detail = getRequestErrorDetail(error);
+
+  if (code === 'offline' || error?.error === 'offline' || !navigator.onLine) return 'network';
+  for (const [type, pattern] of REQUEST_ERROR_PATTERNS) {
+    // Codes are more specific than statuses (a 429 may be a rate limit or an exhausted quota)
+    if (code && pattern.test(code)) return type;
+  }
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 402) return 'quota';
+  if (status === 429) return 'rate-limit';
+  if (status === 408 || status >= 500) return 'server';
+  for (const [type, pattern] of REQUEST_ERROR_PATTERNS) {
+    if (pattern.test(detail)) return type;
+  }
+  return 'unknown';
+}
+
+// Returns { type, retryable, message, detail, retryAfter } for a failed provider request
+function classifyRequestError(error) {
+  const type = getRequestErrorType(error);
+  const detail = getRequestErrorDetail(error);
+  const { retryable, message } = REQUEST_ERROR_TYPES[type];
+  return {
+    type,
+    retryable,
+    message: type === 'unknown' ? `Error: ${detail}` : message,
+    detail,
+    retryAfter: error?.retryAfter ?? null
+  };
+}
+
+// Exponential backoff with jitter, so several tabs or requests don't retry in lockstep
+function getBackoffDelay(attempt, baseMs, maxMs) {
+  const delay = Math.min(baseMs * 2 ** (attempt - 1), maxMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Resolves after ms, or rejects with an AbortError as soon as the signal aborts
+function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("Generation stopped", "AbortError"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) abort();
+    signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
+// ===== Context Window Manager =====
+// Works on a copy of the active path: older turns are left out of (or summarized in) the
+// request payload, while the stored conversation keeps every message.
+const CONTEXT_MODE_TRIM = 'trim';
+const CONTEXT_MODE_SUMMARIZE = 'summarize';
+let contextMode = CONTEXT_MODE_TRIM;
+
+const CHARS_PER_TOKEN = 3.5; // Conservative average across prose and code
+const MESSAGE_OVERHEAD_TOKENS = 4; // Role markers and separators per message
+const CONTEXT_SAFETY_MARGIN = 0.9; // Estimates are rough, so leave headroom
+const DEFAULT_CONTEXT_WINDOW = 32000;
+const SYNOPSIS_TOKEN_RESERVE = 1024;
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function estimateMessageTokens(msg) {
+  const attachmentTokens = getMessageAttachments(msg).reduce((total, part) => total + estimateAttachmentTokens(part), 0);
+  return estimateTokens(getMessageText(msg)) + attachmentTokens + MESSAGE_OVERHEAD_TOKENS;
+}
+
+function getContextWindow(model) {
+  const known = PUTER_MODELS.find(entry => entry.value === model);
+  if (known?.contextWindow) return known.contextWindow;
+
+  // Direct providers report arbitrary model ids, so fall back on the model family
+  if (/claude/i.test(model)) return 200000;
+  if (/gpt-5/i.test(model)) return 400000;
+  if (/gpt-4o|gpt-4\.1|^o\d/i.test(model)) return 128000;
+  return DEFAULT_CONTEXT_WINDOW;
+}
+
+// Input tokens we can spend once the reply's max_tokens is set aside
+function getInputTokenBudget(model, maxTokens = DEFAULT_MAX_TOKENS) {
+  return Math.floor((getContextWindow(model) - (maxTokens || DEFAULT_MAX_TOKENS)) * CONTEXT_SAFETY_MARGIN);
+}
+
+// Split messages into the newest ones that fit the budget and the older ones that don't.
+// The last message is always kept, and the kept part starts with a user turn.
+function splitByTokenBudget(messages, budget) {
+  let used = 0;
+  let start = messages.length;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateMessageTokens(messages[i]);
+    if (used + cost > budget && i < messages.length - 1) break;
+    used += cost;
+    start = i;
+  }
+
+  while (start < messages.length - 1 && messages[start].role !== 'user') {
+    start++;
+  }
+
+  return { dropped: messages.slice(0, start), kept: messages.slice(start) };
+}
+
+// Build the provider payload for the active path within the model's token budget, or the
+// smaller contextBudget from the settings. The persona's system prompt (if any) always goes
+// first and counts against the budget.
+async function buildContextPayload(messages, { provider, model, signal, systemPrompt, maxTokens, contextBudget, onStatus }) {
+  const summarize = contextMode === CONTEXT_MODE_SUMMARIZE;
+  const systemMessages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+  const budget = Math.min(getInputTokenBudget(model, maxTokens), contextBudget || Infinity)
+    - systemMessages.reduce((total, msg) => total + estimateMessageTokens(msg), 0)
+    - (summarize ? SYNOPSIS_TOKEN_RESERVE : 0);
+  const { dropped, kept } = splitByTokenBudget(messages, budget);
+
+  if (dropped.length === 0) {
+    return [...systemMessages, ...await toProviderMessages(kept)];
+  }
+
+  debugLog(`Context budget ${budget} tokens: leaving out ${dropped.length} older messages`);
+
+  if (!summarize) {
+    return [...systemMessages, ...await toProviderMessages(kept)];
+  }
+
+  try {
+    onStatus?.('Summarizing earlier conversation...');
+    const synopsis = await getRollingSynopsis(dropped, { provider, model, signal });
+    return [
+      ...systemMessages,
+      { role: 'system', content: `Summary of the earlier part of this conversation:\n\n${synopsis}` },
+      ...await toProviderMessages(kept)
+    ];
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.warn('Could not summarize older messages, dropping them instead:', error);
+    return [...systemMessages, ...await toProviderMessages(kept)];
+  }
+}
+
+// The synopsis is cached on the chat and extended with newly dropped turns, so each
+// message is summarized once instead of on every request
+async function getRollingSynopsis(dropped, { provider, model, signal }) {
+  const currentChat = getCurrentChat();
+  const cached = currentChat?.contextSynopsis;
+  const lastDropped = dropped[dropped.length - 1];
+
+  if (cached && cached.throughMessageId === lastDropped.id) {
+    return cached.text;
+  }
+
+  // Reuse the cached synopsis only if it covers a prefix of the current branch
+  const coveredIndex = cached ? dropped.findIndex(msg => msg.id === cached.throughMessageId) : -1;
+  const previousSynopsis = coveredIndex !== -1 ? cached.text : '';
+  const newTurns = dropped.slice(coveredIndex + 1);
+
+  let transcript = newTurns
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${[getMessageText(msg), describeAttachments(msg)].filter(Boolean).join(' ')}`)
+    .join('\n\n');
+
+  // Keep the summary request itself within budget; the most recent turns matter most
+  const maxChars = Math.floor((getInputTokenBudget(model) - SYNOPSIS_TOKEN_RESERVE) * CHARS_PER_TOKEN);
+  if (transcript.length > maxChars) {
+    transcript = transcript.slice(transcript.length - maxChars);
+  }
+
+  const text = await collectCompletion(provider, [
+    {
+      role: 'system',
+      content: 'You maintain a running synopsis of a conversation between a user and an AI assistant. ' +
+        'Keep facts, decisions, names, code identifiers and open questions. Answer with the synopsis only, under 300 words.'
+    },
+    {
+      role: 'user',
+      content: `${previousSynopsis ? `Current synopsis:\n${previousSynopsis}\n\n` : ''}New turns to fold in:\n\n${transcript}\n\nWrite the updated synopsis.`
+    }
+  ], { model, signal });
+
+  if (currentChat) {
+    currentChat.contextSynopsis = { throughMessageId: lastDropped.id, text };
+  }
+  return text;
+}
+
+// Run a provider request to completion without rendering it
+async function collectCompletion(provider, messages, options) {
+  let text = '';
+  for await (const part of abortableStream(provider.streamChat(messages, options), options.signal)) {
+    if (part?.text) text += part.text;
+  }
+  return text.trim();
+}
+
+async function loadContextMode() {
+  const stored = await getItem('contextMode');
+  contextMode = stored === CONTEXT_MODE_SUMMARIZE ? CONTEXT_MODE_SUMMARIZE : CONTEXT_MODE_TRIM;
+
+  const toggle = document.getElementById('contextSummarize');
+  if (toggle) toggle.checked = contextMode === CONTEXT_MODE_SUMMARIZE;
+}
+
+async function setContextMode(mode) {
+  contextMode = mode;
+  await setItem('contextMode', mode);
+}
+
+// ===== Server-Sent Events reader for streamed provider responses =====
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let match;
+    while ((match = /\r?\n\r?\n/.exec(buffer))) {
+      const event = parseServerSentEvent(buffer.slice(0, match.index));
+      buffer = buffer.slice(match.index + match[0].length);
+      if (event) yield event;
+    }
+  }
+
+  const lastEvent = parseServerSentEvent(buffer);
+  if (lastEvent) yield lastEvent;
+}
+
+function parseServerSentEvent(rawEvent) {
+  const dataLines = [];
+  let eventName = 'message';
+
+  rawEvent.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    } else if (line.startsWith('event:')) {
+      eventName = line.slice(6).trim();
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+  return { event: eventName, data: dataLines.join('\n') };
+}
+
+// ===== Provider & Model Selection UI =====
+async function loadProviderSettings() {
+  const stored = await getItem('providerSettings');
+  if (stored) {
+    const parsed = typeof stored === 'string' ? JSON.parse(stored) : stored;
+    Object.keys(providerSettings).forEach(id => {
+      providerSettings[id] = { ...providerSettings[id], ...(parsed[id] || {}) };
+    });
+  }
+}
+
+function renderProviderSelect() {
+  const providerSelect = document.getElementById('providerSelect');
+  if (!providerSelect) return;
+
+  providerSelect.innerHTML = Object.values(PROVIDERS)
+    .map(provider => `<option value="${provider.id}">${escapeHtml(provider.name)}</option>`)
+    .join('');
+  providerSelect.value = getActiveProvider().id;
+}
+
+// Rebuild the model dropdown and hidden select from the active provider's model list.
+// Resolves to false, leaving the dropdown alone, when the chat or provider changed while the list loaded.
+async function renderModelDropdown() {
+  const optionsContainer = document.getElementById('modelOptions');
+  const hiddenSelect = document.getElementById('model');
+  if (!optionsContainer || !hiddenSelect) return;
+
+  const provider = getActiveProvider();
+  const chatId = currentChatId;
+  const currentChat = getCurrentChat();
+  const models = await provider.listModels();
+  // Another chat or provider was picked while the list loaded; its own render fills the dropdown
+  if (currentChatId !== chatId || getActiveProvider() !== provider) return false;
+
+  const selectorButton = document.getElementById('modelSelectorBtn');
+  if (models.length === 0) {
+    optionsContainer.innerHTML = `<div class="no-models-message">No models available. Configure ${escapeHtml(provider.name)} with ⚙.</div>`;
+    hiddenSelect.innerHTML = '';
+    delete selectorButton?.dataset.modelMissing;
+    return true;
+  }
+
+  // A chat whose model is no longer offered keeps its stored model, but replies use the first one until another is picked
+  const modelMissing = Boolean(currentChat?.model) && !models.some(model => model.value === currentChat.model);
+  const selected = currentChat?.model && !modelMissing ? currentChat.model : models[0].value;
+  if (selectorButton) {
+    if (modelMissing) selectorButton.dataset.modelMissing = '';
+    else delete selectorButton.dataset.modelMissing;
+  }
+  // Models can only be compared within one provider
+  compareModels = compareModels.filter(value => models.some(model => model.value === value));
+  updateCompareIndicator();
+
+  const missingNotice = modelMissing
+    ? `<div class="model-missing-message" role="status">${escapeHtml(provider.name)} no longer offers "${escapeHtml(currentChat.model)}", which this chat used. Replies use ${escapeHtml(models[0].name)} until you pick a model.</div>`
+    : '';
+  optionsContainer.innerHTML = missingNotice + models.map(model => `
+    <div class="model-option ${model.value === selected ? 'active' : ''}" data-value="${escapeHtml(model.value)}">
+      <label class="compare-check" title="Include in the comparison">
+        <input type="checkbox" value="${escapeHtml(model.value)}" ${compareModels.includes(model.value) ? 'checked' : ''} aria-label="Compare ${escapeHtml(model.name)}">
+      </label>
+      <span class="model-name">${escapeHtml(model.name)}</span>
+      ${model.badge ? `<span class="model-badge">${escapeHtml(model.badge)}</span>` : ''}
+    </div>`).join('');
+
+  hiddenSelect.innerHTML = models
+    .map(model => `<option value="${escapeHtml(model.value)}">${escapeHtml(model.name)}</option>`)
+    .join('');
+  hiddenSelect.value = selected;
+  return true;
+}
+
+async function setChatProvider(providerId) {
+  const currentChat = getCurrentChat();
+  if (!currentChat) return;
+
+  currentChat.provider = getProvider(providerId).id;
+  currentChat.model = null; // Fall back to the provider's first model
+  // Only a dropdown rendered for this chat and provider says which model it falls back to
+  if (await renderModelDropdown()) {
+    currentChat.model = document.getElementById('model').value || null;
+  }
+  await saveChatRecord(currentChat);
+  // Reachability is per provider
+  checkConnectivity();
+}
+
+async function setChatModel(model) {
+  const currentChat = getCurrentChat();
+  if (!currentChat) return;
+
+  currentChat.model = model;
+  document.querySelector('#modelOptions .model-missing-message')?.remove();
+  delete document.getElementById('modelSelectorBtn')?.dataset.modelMissing;
+  await saveChatRecord(currentChat);
+}
+
+function openProviderDialog() {
+  const dialog = document.getElementById('providerDialog');
+  const form = document.getElementById('providerForm');
+  if (!dialog || !form) return;
+
+  Object.entries(providerSettings).forEach(([id, settings]) => {
+    Object.entries(settings).forEach(([field, value]) => {
+      const input = form.elements[`${id}.${field}`];
+      if (input) input.value = value || '';
+    });
+  });
+
+  dialog.returnValue = ''; // Otherwise Escape after an earlier save would save again
+  dialog.showModal();
+}
+
+async function saveProviderDialog() {
+  const form = document.getElementById('providerForm');
+
+  Object.entries(providerSettings).forEach(([id, settings]) => {
+    Object.keys(settings).forEach(field => {
+      const input = form.elements[`${id}.${field}`];
+      if (input) settings[field] = input.value.trim();
+    });
+  });
+
+  await setItem('providerSettings', JSON.stringify(providerSettings));
+  await renderModelDropdown();
+}
+
+// ===== Personas =====
+// Reusable system prompts with default model and generation settings, stored under the
+// "personas" key. Chats reference a persona by id (chat.personaId).
+let personas = [];
+
+function generatePersonaId() {
+  return 'persona_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+async function loadPersonas() {
+  const stored = await getItem('personas');
+  personas = stored ? JSON.parse(stored) : [];
+}
+
+async function savePersonas() {
+  await setItem('personas', JSON.stringify(personas));
+}
+
+function getChatPersona(chat = getCurrentChat()) {
+  return personas.find(persona => persona.id === chat?.personaId) || null;
+}
+
+// A persona's default model only applies when the chat is (re)assigned to it
+function applyPersonaDefaults(chat, persona) {
+  if (!chat || !persona) return;
+  if (persona.provider && PROVIDERS[persona.provider]) {
+    chat.provider = persona.provider;
+  }
+  if (persona.model) {
+    chat.model = persona.model;
+  }
+}
+
+// Options passed to the provider for the current chat: the chat's overrides, then its
+// persona, then the app-wide defaults (see Settings)
+function getGenerationOptions() {
+  const persona = getChatPersona();
+  const overrides = getCurrentChat()?.settings || {};
+  const resolve = key => overrides[key] ?? persona?.[key] ?? appSettings[key] ?? null;
+  const stopSequences = overrides.stopSequences?.length ? overrides.stopSequences : appSettings.stopSequences;
+  return {
+    systemPrompt: persona?.systemPrompt || '',
+    temperature: resolve('temperature'),
+    maxTokens: resolve('maxTokens'),
+    topP: resolve('topP'),
+    stopSequences: stopSequences?.length ? stopSequences : null,
+    contextBudget: resolve('contextBudget')
+  };
+}
+
+function renderPersonaSelect() {
+  const personaSelect = document.getElementById('personaSelect');
+  if (!personaSelect) return;
+
+  personaSelect.innerHTML = '<option value="">No persona</option>' + personas
+    .map(persona => `<option value="${escapeHtml(persona.id)}">${escapeHtml(persona.name)}</option>`)
+    .join('');
+  personaSelect.value = getChatPersona()?.id || '';
+}
+
+async function setChatPersona(personaId) {
+  const currentChat = getCurrentChat();
+  if (!currentChat) return;
+
+  currentChat.personaId = personaId || null;
+  applyPersonaDefaults(currentChat, getChatPersona(currentChat));
+  await saveChatRecord(currentChat);
+  renderProviderSelect();
+  await renderModelDropdown();
+}
+
+// New chats ask for a persona first when there are any to choose from
+function openNewChatPicker() {
+  const dialog = document.getElementById('personaPickerDialog');
+  if (personas.length === 0 || !dialog) {
+    createNewChat();
+    return;
+  }
+
+  const options = document.getElementById('personaPickerOptions');
+  options.innerHTML = `<button type="submit" class="persona-option" value="none">
+      <span class="persona-option-name">No persona</span>
+      <span class="persona-option-prompt">Plain chat without a system prompt</span>
+    </button>` + personas.map(persona => `
+    <button type="submit" class="persona-option" value="${escapeHtml(persona.id)}">
+      <span class="persona-option-name">${escapeHtml(persona.name)}</span>
+      <span class="persona-option-prompt">${escapeHtml(formatChatTitle(persona.systemPrompt || ''))}</span>
+    </button>`).join('');
+
+  dialog.returnValue = ''; // Escape must not reuse the last pick
+  dialog.showModal();
+}
+
+function openPersonaDialog() {
+  renderPersonaList();
+  fillPersonaForm(null);
+  document.getElementById('personaDialog')?.showModal();
+}
+
+function renderPersonaList() {
+  const list = document.getElementById('personaList');
+  if (!list) return;
+
+  if (personas.length === 0) {
+    list.innerHTML = '<div class="no-chats-message">No personas yet</div>';
+    return;
+  }
+
+  list.innerHTML = personas.map(persona => `
+    <div class="persona-item" data-persona-id="${escapeHtml(persona.id)}">
+      <span class="persona-item-name">${escapeHtml(persona.name)}</span>
+      <div class="chat-actions">
+        <span class="edit-btn" data-action="edit-persona" title="Edit">✎</span>
+        <span class="delete-btn" data-action="delete-persona" title="Delete">&times;</span>
+      </div>
+    </div>`).join('');
+}
+
+function fillPersonaForm(persona) {
+  const form = document.getElementById('personaForm');
+  if (!form) return;
+
+  form.elements.personaId.value = persona?.id || '';
+  form.elements.name.value = persona?.name || '';
+  form.elements.systemPrompt.value = persona?.systemPrompt || '';
+  form.elements.provider.innerHTML = '<option value="">Keep chat provider</option>' + Object.values(PROVIDERS)
+    .map(provider => `<option value="${provider.id}">${escapeHtml(provider.name)}</option>`)
+    .join('');
+  form.elements.provider.value = persona?.provider || '';
+  form.elements.model.value = persona?.model || '';
+  form.elements.temperature.value = persona?.temperature ?? '';
+  form.elements.maxTokens.value = persona?.maxTokens || '';
+}
+
+async function savePersonaFromForm() {
+  const form = document.getElementById('personaForm');
+  const name = form.elements.name.value.trim();
+  if (!name) {
+    alert('Please give the persona a name.');
+    return;
+  }
+
+  const temperature = form.elements.temperature.value;
+  const maxTokens = parseInt(form.elements.maxTokens.value, 10);
+  const persona = {
+    id: form.elements.personaId.value || generatePersonaId(),
+    name,
+    systemPrompt: form.elements.systemPrompt.value.trim(),
+    provider: form.elements.provider.value || null,
+    model: form.elements.model.value.trim() || null,
+    temperature: temperature === '' ? null : Math.min(Math.max(parseFloat(temperature), 0), 2),
+    maxTokens: maxTokens > 0 ? maxTokens : null
+  };
+
+  const index = personas.findIndex(p => p.id === persona.id);
+  if (index !== -1) {
+    personas[index] = persona;
+  } else {
+    personas.push(persona);
+  }
+
+  await savePersonas();
+  renderPersonaList();
+  renderPersonaSelect();
+  fillPersonaForm(null);
+}
+
+async function deletePersona(personaId) {
+  const persona = personas.find(p => p.id === personaId);
+  if (!persona || !confirm(`Delete persona "${persona.name}"?`)) return;
+
+  personas = personas.filter(p => p.id !== personaId);
+
+  // Chats that used it fall back to no persona
+  const affectedChats = chatHistory.filter(chat => chat.personaId === personaId);
+  affectedChats.forEach(chat => {
+    chat.personaId = null;
+  });
+
+  await savePersonas();
+  await writeRecords([{ store: CHATS_STORE, put: affectedChats.map(toChatRecord) }]);
+  renderPersonaList();
+  renderPersonaSelect();
+}
+
+// ===== Prompt Templates =====
+// Reusable prompts stored under the "promptTemplates" key. Typing "/name" at the start of the
+// prompt suggests matching templates; {{variable}} placeholders are filled in through a small
+// form before the text is inserted. The library is exported and imported as a JSON envelope.
+const TEMPLATES_FORMAT = 'claude-ai-chat-templates';
+const TEMPLATES_SCHEMA_VERSION = 1;
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+const SLASH_COMMAND_PATTERN = /^\/([\w-]*)$/;
+const MAX_TEMPLATE_SUGGESTIONS = 8;
+
+// Offered until the library is first saved
+const DEFAULT_PROMPT_TEMPLATES = [
+  {
+    name: 'review',
+    description: 'Code review',
+    content: 'Review the following {{language}} code. Point out bugs, unclear naming and missing edge cases, most important first.\n\n```{{language}}\n{{code}}\n```'
+  },
+  {
+    name: 'explain',
+    description: 'Explain a concept or snippet',
+    content: 'Explain {{topic}} to someone who is {{audience}}. Use a short example.'
+  },
+  {
+    name: 'translate',
+    description: 'Translate text',
+    content: 'Translate the following text into {{language}}. Keep the tone and formatting.\n\n{{text}}'
+  }
+];
+
+let promptTemplates = [];
+// Open slash-command suggestions: { matches, index }
+let templateSuggestions = null;
+// Template waiting for its variables: { template, variables }
+let pendingTemplateFill = null;
+
+function generateTemplateId() {
+  return 'template_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+async function loadPromptTemplates() {
+  const stored = await getItem('promptTemplates');
+  try {
+    promptTemplates = stored
+      ? JSON.parse(stored)
+      : DEFAULT_PROMPT_TEMPLATES.map(template => ({ ...template, id: generateTemplateId() }));
+  } catch (error) {
+    console.error('Could not parse prompt templates:', error);
+    promptTemplates = [];
+  }
+}
+
+async function savePromptTemplates() {
+  await setItem('promptTemplates', JSON.stringify(promptTemplates));
+}
+
+// "Code Review!" -> "code-review", so any title can become a slash command
+function normalizeTemplateName(name) {
+  return (name || '').trim().toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9_-]/g, '').replace(/^[-_]+/, '');
+}
+
+// Placeholder names in order of first appearance
+function getTemplateVariables(content) {
+  return [...new Set(Array.from(content.matchAll(TEMPLATE_VARIABLE_PATTERN), match => match[1]))];
+}
+
+function fillTemplate(content, values) {
+  return content.replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => values[name] ?? match);
+}
+
+// --- Slash-command autocomplete ---
+
+// Templates matching a "/name" typed at the very start of the prompt, or null
+function findSlashCommandMatches(promptEl) {
+  const beforeCaret = promptEl.value.slice(0, promptEl.selectionStart);
+  const command = SLASH_COMMAND_PATTERN.exec(beforeCaret);
+  if (!command) return null;
+
+  const query = command[1].toLowerCase();
+  return promptTemplates
+    .filter(template => template.name.startsWith(query))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, MAX_TEMPLATE_SUGGESTIONS);
+}
+
+function updateTemplateSuggestions() {
+  const promptEl = document.getElementById('prompt');
+  const matches = promptEl ? findSlashCommandMatches(promptEl) : null;
+  templateSuggestions = matches?.length ? { matches, index: 0 } : null;
+  renderTemplateSuggestions();
+}
+
+function closeTemplateSuggestions() {
+  templateSuggestions = null;
+  renderTemplateSuggestions();
+}
+
+function renderTemplateSuggestions() {
+  const list = document.getElementById('templateSuggestions');
+  const promptEl = document.getElementById('prompt');
+  if (!list) return;
+
+  list.hidden = !templateSuggestions;
+  promptEl?.setAttribute('aria-expanded', String(Boolean(templateSuggestions)));
+  if (!templateSuggestions) {
+    list.innerHTML = '';
+    return;
+  }
+
+  const { matches, index } = templateSuggestions;
+  list.innerHTML = matches.map((template, i) => `
+    <div class="template-suggestion ${i === index ? 'active' : ''}" role="option" aria-selected="${i === index}" data-template-id="${escapeHtml(template.id)}">
+      <span class="template-suggestion-name">/${escapeHtml(template.name)}</span>
+      <span class="template-suggestion-description">${escapeHtml(template.description || formatChatTitle(template.content))}</span>
+    </div>`).join('');
+}
+
+// Keys the open suggestion list takes over from the prompt; returns true when handled
+function handleTemplateSuggestionKey(e) {
+  if (!templateSuggestions || e.isComposing) return false;
+  const { matches } = templateSuggestions;
+
+  switch (e.key) {
+    case 'ArrowDown':
+    case 'ArrowUp': {
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      templateSuggestions.index = (templateSuggestions.index + step + matches.length) % matches.length;
+      renderTemplateSuggestions();
+      break;
+    }
+    case 'Enter':
+    case 'Tab':
+      if (e.shiftKey) return false;
+      applyTemplate(matches[templateSuggestions.index]);
+      break;
+    case 'Escape':
+      closeTemplateSuggestions();
+      break;
+    default:
+      return false;
+  }
+  e.preventDefault();
+  return true;
+}
+
+// Replace the "/name" before the caret with the template, asking for its variables first
+function applyTemplate(template) {
+  closeTemplateSuggestions();
+  if (!template) return;
+
+  const variables = getTemplateVariables(template.content);
+  if (variables.length === 0) {
+    insertTemplateText(template.content);
+    return;
+  }
+
+  const dialog = document.getElementById('templateFillDialog');
+  const fields = document.getElementById('templateFillFields');
+  if (!dialog || !fields) return;
+
+  pendingTemplateFill = { template, variables };
+  document.getElementById('templateFillTitle').textContent = `/${template.name}`;
+  fields.innerHTML = variables.map(name => `
+    <label>${escapeHtml(name)} <textarea name="${escapeHtml(name)}" rows="2"></textarea></label>`).join('');
+  dialog.returnValue = ''; // Escape leaves it as is, which would insert the template
+  dialog.showModal();
+  fields.querySelector('textarea')?.focus();
+}
+
+function insertTemplateText(text) {
+  const promptEl = document.getElementById('prompt');
+  if (!promptEl) return;
+
+  const caret = promptEl.selectionStart;
+  const beforeCaret = promptEl.value.slice(0, caret);
+  const start = SLASH_COMMAND_PATTERN.test(beforeCaret) ? 0 : caret;
+  promptEl.value = promptEl.value.slice(0, start) + text + promptEl.value.slice(caret);
+  promptEl.selectionStart = promptEl.selectionEnd = start + text.length;
+  promptEl.dispatchEvent(new Event('input')); // Resize to fit
+  promptEl.focus();
+}
+
+function submitTemplateFill() {
+  const form = document.getElementById('templateFillForm');
+  if (!pendingTemplateFill || !form) return;
+
+  const { template, variables } = pendingTemplateFill;
+  insertTemplateText(fillTemplate(template.content, readTemplateValues(form, variables)));
+}
+
+// namedItem() rather than form.elements[name]: variables such as {{length}} or {{item}}
+// would otherwise resolve to HTMLFormControlsCollection's own properties
+function readTemplateValues(form, variables) {
+  return Object.fromEntries(variables.map(name => [name, form.elements.namedItem(name)?.value ?? '']));
+}
+
+// --- Library dialog ---
+
+function openTemplateDialog() {
+  renderTemplateList();
+  fillTemplateForm(null);
+  document.getElementById('templateDialog')?.showModal();
+}
+
+function renderTemplateList() {
+  const list = document.getElementById('templateList');
+  if (!list) return;
+
+  if (promptTemplates.length === 0) {
+    list.innerHTML = '<div class="no-chats-message">No templates yet</div>';
+    return;
+  }
+
+  list.innerHTML = [...promptTemplates].sort((a, b) => a.name.localeCompare(b.name)).map(template => `
+    <div class="persona-item" data-template-id="${escapeHtml(template.id)}">
+      <span class="persona-item-name">/${escapeHtml(template.name)}</span>
+      <div class="chat-actions">
+        <span class="edit-btn" data-action="edit-template" title="Edit">✎</span>
+        <span class="delete-btn" data-action="delete-template" title="Delete">&times;</span>
+      </div>
+    </div>`).join('');
+}
+
+function fillTemplateForm(template) {
+  const form = document.getElementById('templateForm');
+  if (!form) return;
+
+  form.elements.templateId.value = template?.id || '';
+  form.elements.name.value = template?.name || '';
+  form.elements.description.value = template?.description || '';
+  form.elements.content.value = template?.content || '';
+}
+
+async function saveTemplateFromForm() {
+  const form = document.getElementById('templateForm');
+  const name = normalizeTemplateName(form.elements.name.value);
+  const content = form.elements.content.value;
+  if (!TEMPLATE_NAME_PATTERN.test(name)) {
+    alert('Please give the template a name made of letters, digits, "-" or "_".');
+    return;
+  }
+  if (!content.trim()) {
+    alert('The template is empty.');
+    return;
+  }
+
+  const template = {
+    id: form.elements.templateId.value || generateTemplateId(),
+    name,
+    description: form.elements.description.value.trim(),
+    content
+  };
+  if (promptTemplates.some(other => other.name === name && other.id !== template.id)) {
+    alert(`There is already a template called /${name}.`);
+    return;
+  }
+
+  const index = promptTemplates.findIndex(other => other.id === template.id);
+  if (index !== -1) {
+    promptTemplates[index] = template;
+  } else {
+    promptTemplates.push(template);
+  }
+
+  await savePromptTemplates();
+  renderTemplateList();
+  fillTemplateForm(null);
+}
+
+async function deleteTemplate(templateId) {
+  const template = promptTemplates.find(other => other.id === templateId);
+  if (!template || !confirm(`Delete template /${template.name}?`)) return;
+
+  promptTemplates = promptTemplates.filter(other => other.id !== templateId);
+  await savePromptTemplates();
+  renderTemplateList();
+}
+
+// --- Import & export ---
+
+function exportPromptTemplates() {
+  if (promptTemplates.length === 0) {
+    alert("No templates to export!");
+    return;
+  }
+
+  const library = {
+    format: TEMPLATES_FORMAT,
+    schemaVersion: TEMPLATES_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    templates: promptTemplates.map(({ name, description, content }) => ({ name, description, content }))
+  };
+  downloadFile(JSON.stringify(library, null, 2), `prompt-templates-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+}
+
+// Accepts an exported library or a bare array of templates. Throws listing every problem found.
+function validateTemplateLibrary(data) {
+  const templates = Array.isArray(data) ? data : data?.templates;
+  if (!Array.isArray(data)) {
+    if (!data || typeof data !== 'object' || data.format !== TEMPLATES_FORMAT) {
+      throw new Error('This is not a prompt template library.');
+    }
+    if (data.schemaVersion > TEMPLATES_SCHEMA_VERSION) {
+      throw new Error(`Library uses schema version ${data.schemaVersion}, but this app only understands up to version ${TEMPLATES_SCHEMA_VERSION}. Update the app and try again.`);
+    }
+    if (!Array.isArray(templates)) {
+      throw new Error('"templates" must be an array.');
+    }
+  }
+
+  const problems = [];
+  const imported = [];
+  templates.forEach((template, index) => {
+    const name = normalizeTemplateName(template?.name);
+    if (!TEMPLATE_NAME_PATTERN.test(name)) {
+      problems.push(`Template ${index + 1}: needs a name.`);
+    } else if (typeof template.content !== 'string' || !template.content.trim()) {
+      problems.push(`Template ${index + 1} (/${name}): content must be non-empty text.`);
+    } else {
+      imported.push({ name, description: typeof template.description === 'string' ? template.description : '', content: template.content });
+    }
+  });
+
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 5).join('\n');
+    const more = problems.length > 5 ? `\n…and ${problems.length - 5} more.` : '';
+    throw new Error(shown + more);
+  }
+  return imported;
+}
+
+// Templates are matched by name: an imported one replaces the local template of the same name
+async function importPromptTemplates(file) {
+  try {
+    const imported = validateTemplateLibrary(JSON.parse(await file.text()));
+    let replaced = 0;
+    imported.forEach(template => {
+      const existing = promptTemplates.find(other => other.name === template.name);
+      if (existing) {
+        Object.assign(existing, template);
+        replaced++;
+      } else {
+        promptTemplates.push({ ...template, id: generateTemplateId() });
+      }
+    });
+
+    await savePromptTemplates();
+    renderTemplateList();
+    alert(`Imported ${imported.length} template(s)${replaced ? `, ${replaced} replacing existing ones` : ''}.`);
+  } catch (error) {
+    console.error("Error importing templates:", error);
+    showError("Error importing templates: " + error.message);
+  }
+}
+
+// ===== Settings =====
+// App-wide defaults stored under the "settings" key. Generation parameters resolve per
+// request as: the chat's own value (chat.settings), then its persona's, then these defaults,
+// and finally the provider's default when nothing is set.
+const DEFAULT_SETTINGS = {
+  defaultProvider: null,
+  defaultModel: null,
+  temperature: null,
+  maxTokens: null,
+  topP: null,
+  stopSequences: [],
+  contextBudget: null,
+  sendKey: 'ctrl-enter', // 'ctrl-enter' | 'enter'
+  theme: 'dark' // 'dark' | 'light' | 'system'
+};
+
+// Parameters a chat can override
+const CHAT_SETTING_KEYS = ['temperature', 'maxTokens', 'topP', 'stopSequences', 'contextBudget'];
+const MAX_STOP_SEQUENCES = 4; // The OpenAI API accepts at most four
+const MIN_CONTEXT_BUDGET = 1000;
+
+let appSettings = { ...DEFAULT_SETTINGS };
+
+async function loadSettings() {
+  const stored = await getItem('settings');
+  try {
+    appSettings = { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+  } catch (error) {
+    console.error('Could not parse settings, using defaults:', error);
+    appSettings = { ...DEFAULT_SETTINGS };
+  }
+  applySettings();
+}
+
+async function saveSettings() {
+  await setItem('settings', JSON.stringify(appSettings));
+}
+
+// Provider and model for a new chat: the configured defaults, else whatever the last chat used
+function getNewChatModel(previousChat) {
+  const provider = appSettings.defaultProvider && PROVIDERS[appSettings.defaultProvider]
+    ? appSettings.defaultProvider
+    : previousChat?.provider || DEFAULT_PROVIDER_ID;
+  const model = appSettings.defaultModel || (previousChat?.provider === provider ? previousChat.model : null);
+  return { provider, model: model || null };
+}
+
+const systemThemeQuery = window.matchMedia?.('(prefers-color-scheme: light)');
+systemThemeQuery?.addEventListener?.('change', applySettings);
+// Settings load from IndexedDB after the page is drawn, so index.html applies this copy of the
+// theme setting first to avoid a flash of the dark theme
+const THEME_CACHE_KEY = 'themePreference';
+
+function applySettings() {
+  const light = appSettings.theme === 'light' || (appSettings.theme === 'system' && systemThemeQuery?.matches);
+  const theme = light ? 'light' : 'dark';
+  if (document.documentElement.dataset.theme !== theme) {
+    document.documentElement.dataset.theme = theme;
+    rerenderMermaidDiagrams();
+  }
+  try {
+    localStorage.setItem(THEME_CACHE_KEY, appSettings.theme);
+  } catch (error) {
+    console.warn('Could not cache the theme setting:', error);
+  }
+
+  const promptEl = document.getElementById('prompt');
+  if (promptEl) {
+    promptEl.placeholder = appSettings.sendKey === 'enter'
+      ? 'Type your question here... (Enter to send, Shift+Enter for a new line)'
+      : 'Type your question here... (Ctrl+Enter to send)';
+  }
+}
+
+// Whether a keydown in the prompt should send the message
+function isSendShortcut(e) {
+  if (e.key !== 'Enter' || e.isComposing) return false;
+  if (e.ctrlKey || e.metaKey) return true;
+  return appSettings.sendKey === 'enter' && !e.shiftKey && !e.altKey;
+}
+
+// Empty inputs mean "not set"; anything else is clamped to the allowed range
+function parseNumberSetting(value, { min, max = Infinity, integer = false }) {
+  if (value === '' || value == null) return null;
+  const number = integer ? parseInt(value, 10) : parseFloat(value);
+  if (Number.isNaN(number)) return null;
+  return Math.min(Math.max(number, min), max);
+}
+
+function parseStopSequences(value) {
+  return (value || '')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .slice(0, MAX_STOP_SEQUENCES);
+}
+
+// Read the generation fields named `${prefix}temperature`, ... from the settings form
+function readGenerationFields(form, prefix) {
+  const field = name => form.elements[prefix + name].value;
+  return {
+    temperature: parseNumberSetting(field('temperature'), { min: 0, max: 2 }),
+    maxTokens: parseNumberSetting(field('maxTokens'), { min: 1, integer: true }),
+    topP: parseNumberSetting(field('topP'), { min: 0, max: 1 }),
+    stopSequences: parseStopSequences(field('stopSequences')),
+    contextBudget: parseNumberSetting(field('contextBudget'), { min: MIN_CONTEXT_BUDGET, integer: true })
+  };
+}
+
+function fillGenerationFields(form, prefix, values) {
+  form.elements[prefix + 'temperature'].value = values.temperature ?? '';
+  form.elements[prefix + 'maxTokens'].value = values.maxTokens ?? '';
+  form.elements[prefix + 'topP'].value = values.topP ?? '';
+  form.elements[prefix + 'stopSequences'].value = (values.stopSequences || []).join('\n');
+  form.elements[prefix + 'contextBudget'].value = values.contextBudget ?? '';
+}
+
+async function openSettingsDialog() {
+  const dialog = document.getElementById('settingsDialog');
+  const form = document.getElementById('settingsForm');
+  if (!dialog || !form) return;
+
+  form.elements.defaultProvider.innerHTML = '<option value="">Keep the last chat\'s provider</option>' + Object.values(PROVIDERS)
+    .map(provider => `<option value="${provider.id}">${escapeHtml(provider.name)}</option>`)
+    .join('');
+  form.elements.defaultProvider.value = appSettings.defaultProvider || '';
+  form.elements.defaultModel.value = appSettings.defaultModel || '';
+  fillGenerationFields(form, '', appSettings);
+
+  // The chat fields show what applies when they are left empty
+  const currentChat = getCurrentChat();
+  const persona = getChatPersona(currentChat);
+  fillGenerationFields(form, 'chat.', currentChat?.settings || {});
+  CHAT_SETTING_KEYS.forEach(key => {
+    const inherited = key === 'stopSequences'
+      ? (appSettings.stopSequences.length ? appSettings.stopSequences.join(', ') : null)
+      : persona?.[key] ?? appSettings[key];
+    form.elements['chat.' + key].placeholder = inherited != null ? `Default: ${inherited}` : 'Default';
+  });
+  document.getElementById('chatSettingsLegend').textContent = `This chat: ${currentChat?.title || 'New Chat'}`;
+
+  form.elements.sendKey.value = appSettings.sendKey;
+  form.elements.theme.value = appSettings.theme;
+  form.elements.debugMode.checked = (await getItem('debugMode')) === 'true';
+
+  dialog.returnValue = ''; // A stale "save" would make Escape save the form
+  dialog.showModal();
+}
+
+async function saveSettingsDialog() {
+  const form = document.getElementById('settingsForm');
+
+  appSettings = {
+    ...appSettings,
+    ...readGenerationFields(form, ''),
+    defaultProvider: form.elements.defaultProvider.value || null,
+    defaultModel: form.elements.defaultModel.value.trim() || null,
+    sendKey: form.elements.sendKey.value,
+    theme: form.elements.theme.value
+  };
+  await saveSettings();
+  applySettings();
+
+  // Only values that are actually set are stored on the chat, so the rest keep following the defaults
+  const currentChat = getCurrentChat();
+  if (currentChat) {
+    const overrides = Object.fromEntries(Object.entries(readGenerationFields(form, 'chat.'))
+      .filter(([, value]) => Array.isArray(value) ? value.length > 0 : value != null));
+    currentChat.settings = Object.keys(overrides).length ? overrides : null;
+    await saveChatRecord(currentChat);
+  }
+
+  const debugMode = form.elements.debugMode.checked;
+  await setItem('debugMode', String(debugMode));
+  window.DEBUG_MODE = new URLSearchParams(window.location.search).get('debug') === 'true' || debugMode;
+}
+
+// ===== Usage Dashboard =====
+// Messages, tokens and estimated cost per day, model and chat, worked out from the messages
+// stored in this browser. Token counts exist only for replies whose provider reported them.
+// Rates are USD per million tokens, stored under the "modelRates" key per provider and model
+// ("openai:gpt-4o"), since the same model id can be priced differently by another provider.
+const USAGE_GROUPS = {
+  day: { label: 'Day' },
+  model: { label: 'Model' },
+  chat: { label: 'Chat' }
+};
+const USAGE_UNKNOWN_MODEL = '(unknown model)';
+
+let modelRates = {};
+
+function getRateKey(providerId, model) {
+  return `${providerId}:${model}`;
+}
+
+// Provider ids contain no colon, so everything after the first one is the model id
+function parseRateKey(key) {
+  const separator = key.indexOf(':');
+  return { provider: key.slice(0, separator), model: key.slice(separator + 1) };
+}
+
+function isRateKey(key) {
+  return Object.keys(PROVIDERS).some(providerId => key.startsWith(`${providerId}:`));
+}
+
+function getRateLabel(key, modelName = null) {
+  const { provider, model } = parseRateKey(key);
+  return `${PROVIDERS[provider]?.name || provider} · ${modelName || model}`;
+}
+
+// Rates saved before they were kept per provider applied to a model id wherever it was used,
+// so each becomes that model's rate at every provider that has none of its own
+function migrateModelRates(rates) {
+  const migrated = {};
+  Object.entries(rates).forEach(([key, rate]) => {
+    if (isRateKey(key)) migrated[key] = rate;
+  });
+  Object.entries(rates).forEach(([key, rate]) => {
+    if (isRateKey(key)) return;
+    Object.keys(PROVIDERS).forEach(providerId => {
+      const rateKey = getRateKey(providerId, key);
+      if (!(rateKey in migrated)) migrated[rateKey] = rate;
+    });
+  });
+  return migrated;
+}
+
+async function loadModelRates() {
+  const stored = await getItem('modelRates');
+  try {
+    modelRates = stored ? migrateModelRates(JSON.parse(stored)) : {};
+  } catch (error) {
+    console.error('Could not parse model rates:', error);
+    modelRates = {};
+  }
+}
+
+async function saveModelRates() {
+  await setItem('modelRates', JSON.stringify(modelRates));
+}
+
+// Messages from before timestamps were recorded still carry their creation time in the id
+function getMessageTime(msg) {
+  if (msg.createdAt) return new Date(msg.createdAt);
+  const match = /^msg_(\d+)_/.exec(msg.id || '');
+  return match ? new Date(Number(match[1])) : null;
+}
+
+function getLocalDateKey(date) {
+  if (!date || Number.isNaN(date.getTime())) return 'Unknown date';
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// One entry per stored message. The current chat is read from memory so unsaved replies count too.
+// A prompt is attributed to the model that answered it. Replies from before providers were
+// recorded came from Puter, the only provider then.
+async function collectUsageEntries() {
+  const stored = await getAllRecords(MESSAGES_STORE);
+  const messages = stored
+    .filter(msg => msg.chatId !== currentChatId)
+    .concat(messageNodes.map(msg => ({ ...msg, chatId: currentChatId })));
+
+  const replies = new Map();
+  messages.forEach(msg => {
+    if (msg.role === 'assistant' && msg.model && msg.parentId && !replies.has(msg.parentId)) {
+      replies.set(msg.parentId, msg);
+    }
+  });
+
+  return messages.map(msg => {
+    const reply = msg.role === 'assistant' ? msg : replies.get(msg.id);
+    return {
+      chatId: msg.chatId,
+      day: getLocalDateKey(getMessageTime(msg)),
+      // Provider and model together, as modelRates is keyed
+      model: reply?.model ? getRateKey(reply.provider || DEFAULT_PROVIDER_ID, reply.model) : USAGE_UNKNOWN_MODEL,
+      inputTokens: msg.usage?.inputTokens || 0,
+      outputTokens: msg.usage?.outputTokens || 0
+    };
+  });
+}
+
+// Cost of one entry in USD, or null when its model has no rate for tokens it used
+function getEntryCost(entry) {
+  if (!entry.inputTokens && !entry.outputTokens) return 0;
+  const rate = modelRates[entry.model];
+  if (!rate || (entry.inputTokens && rate.input == null) || (entry.outputTokens && rate.output == null)) {
+    return null;
+  }
+  return (entry.inputTokens * (rate.input || 0) + entry.outputTokens * (rate.output || 0)) / 1e6;
+}
+
+// Sum entries into rows keyed by keyFn, in the order the rows should be shown
+function summarizeUsage(entries, keyFn) {
+  const rows = new Map();
+  entries.forEach(entry => {
+    const key = keyFn(entry);
+    const row = rows.get(key) || { key, messages: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: false };
+    const cost = getEntryCost(entry);
+    row.messages++;
+    row.inputTokens += entry.inputTokens;
+    row.outputTokens += entry.outputTokens;
+    if (cost === null) {
+      row.unpriced = true;
+    } else {
+      row.cost += cost;
+    }
+    rows.set(key, row);
+  });
+  return [...rows.values()];
+}
+
+function getUsageChatTitle(chatId) {
+  return chatHistory.find(chat => chat.id === chatId)?.title || 'Untitled chat';
+}
+
+function getUsageRows(entries, groupBy) {
+  switch (groupBy) {
+    case 'model':
+      return summarizeUsage(entries, entry => entry.model)
+        .map(row => ({ ...row, label: row.key === USAGE_UNKNOWN_MODEL ? row.key : getRateLabel(row.key) }))
+        .sort((a, b) => (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens) || b.messages - a.messages);
+    case 'chat':
+      return summarizeUsage(entries, entry => entry.chatId)
+        .map(row => ({ ...row, label: getUsageChatTitle(row.key) }))
+        .sort((a, b) => (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens) || b.messages - a.messages);
+    default:
+      // Newest day first
+      return summarizeUsage(entries, entry => entry.day).sort((a, b) => b.key.localeCompare(a.key));
+  }
+}
+
+function formatCost(row) {
+  if (row.unpriced && row.cost === 0) return '—';
+  return `$${row.cost.toFixed(row.cost < 1 ? 4 : 2)}${row.unpriced ? '*' : ''}`;
+}
+
+let usageEntries = [];
+
+function renderUsageTable() {
+  const form = document.getElementById('usageForm');
+  const container = document.getElementById('usageTable');
+  if (!form || !container) return;
+
+  if (usageEntries.length === 0) {
+    container.innerHTML = '<div class="no-chats-message">No messages yet</div>';
+    return;
+  }
+
+  const groupBy = form.elements.groupBy.value;
+  const rows = getUsageRows(usageEntries, groupBy);
+  const total = summarizeUsage(usageEntries, () => 'total')[0];
+  const renderRow = (label, row, tag = 'td') => `
+    <tr>
+      <${tag} class="usage-label">${escapeHtml(label)}</${tag}>
+      <${tag}>${row.messages.toLocaleString()}</${tag}>
+      <${tag}>${row.inputTokens.toLocaleString()}</${tag}>
+      <${tag}>${row.outputTokens.toLocaleString()}</${tag}>
+      <${tag}>${formatCost(row)}</${tag}>
+    </tr>`;
+
+  container.innerHTML = `
+    <table class="usage-table">
+      <thead>
+        <tr><th>${USAGE_GROUPS[groupBy].label}</th><th>Messages</th><th>Input tokens</th><th>Output tokens</th><th>Est. cost</th></tr>
+      </thead>
+      <tbody>${rows.map(row => renderRow(row.label || row.key, row)).join('')}</tbody>
+      <tfoot>${renderRow('Total', total, 'th')}</tfoot>
+    </table>
+    ${total.unpriced ? '<p class="dialog-hint">* Some tokens were used by models without a rate and are not included.</p>' : ''}`;
+}
+
+// Every provider and model this browser knows of without going to the network: Puter's list,
+// the direct providers' configured lists, the models in the picker, and any that appear in usage
+function getRateModels() {
+  const names = new Map(PUTER_MODELS.map(model => [getRateKey('puter', model.value), model.name]));
+  const addModel = (key, name) => { if (!names.has(key)) names.set(key, name); };
+  Object.entries(providerSettings).forEach(([providerId, settings]) => {
+    (settings.models || '').split(/[,\n]/).map(model => model.trim()).filter(Boolean)
+      .forEach(model => addModel(getRateKey(providerId, model), model));
+  });
+  const pickerProvider = getActiveProvider().id;
+  [...(document.getElementById('model')?.options || [])].forEach(option => {
+    addModel(getRateKey(pickerProvider, option.value), option.textContent);
+  });
+  usageEntries.map(entry => entry.model).concat(Object.keys(modelRates)).forEach(key => {
+    if (key !== USAGE_UNKNOWN_MODEL) addModel(key, parseRateKey(key).model);
+  });
+  return [...names].map(([value, name]) => ({ value, name: getRateLabel(value, name) }));
+}
+
+function renderRateInputs() {
+  const container = document.getElementById('usageRates');
+  if (!container) return;
+
+  container.innerHTML = `
+    <div class="usage-rate-row usage-rate-header"><span>Model</span><span>Input</span><span>Output</span></div>
+    ${getRateModels().map(model => {
+      const rate = modelRates[model.value] || {};
+      return `
+        <div class="usage-rate-row" data-model="${escapeHtml(model.value)}">
+          <span class="usage-label" title="${escapeHtml(model.value)}">${escapeHtml(model.name)}</span>
+          <input type="number" name="rate-input" min="0" step="0.01" value="${rate.input ?? ''}" aria-label="Input rate for ${escapeHtml(model.name)}">
+          <input type="number" name="rate-output" min="0" step="0.01" value="${rate.output ?? ''}" aria-label="Output rate for ${escapeHtml(model.name)}">
+        </div>`;
+    }).join('')}`;
+}
+
+// Read one model's rate inputs back into modelRates; empty inputs remove the rate
+function readRateRow(row) {
+  const model = row.dataset.model;
+  const input = parseNumberSetting(row.querySelector('[name="rate-input"]').value, { min: 0 });
+  const output = parseNumberSetting(row.querySelector('[name="rate-output"]').value, { min: 0 });
+  if (input == null && output == null) {
+    delete modelRates[model];
+  } else {
+    modelRates[model] = { input, output };
+  }
+}
+
+async function openUsageDialog() {
+  const dialog = document.getElementById('usageDialog');
+  if (!dialog) return;
+
+  try {
+    usageEntries = await collectUsageEntries();
+  } catch (error) {
+    console.error('Error collecting usage:', error);
+    showError('Could not read usage: ' + error.message);
+    return;
+  }
+  renderUsageTable();
+  renderRateInputs();
+  dialog.showModal();
+}
+
+// Spreadsheets run cells that start like a formula, and chat titles and model ids are
+// free text, so those get a leading apostrophe to keep them as text
+function escapeCsvCell(value) {
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per day, chat, provider and model - the finest grain the dashboard shows - so any view can be rebuilt
+function usageToCsv(entries) {
+  const rows = summarizeUsage(entries, entry => JSON.stringify([entry.day, entry.chatId, entry.model]))
+    .map(row => {
+      const [day, chatId, key] = JSON.parse(row.key);
+      const { provider, model } = key === USAGE_UNKNOWN_MODEL ? { provider: '', model: key } : parseRateKey(key);
+      return [day, getUsageChatTitle(chatId), provider, model, row.messages, row.inputTokens, row.outputTokens,
+        row.unpriced && row.cost === 0 ? '' : row.cost.toFixed(6)];
+    })
+    .sort((a, b) => b[0].localeCompare(a[0]) || a[1].localeCompare(b[1]));
+
+  return [['date', 'chat', 'provider', 'model', 'messages', 'input_tokens', 'output_tokens', 'estimated_cost_usd'], ...rows]
+    .map(row => row.map(escapeCsvCell).join(','))
+    .join('\r\n');
+}
+
+function exportUsageCsv() {
+  if (usageEntries.length === 0) {
+    alert("No usage to export!");
+    return;
+  }
+  downloadFile(usageToCsv(usageEntries), `usage-${getLocalDateKey(new Date())}.csv`, 'text/csv');
+}
+
+// ===== Initialize on page load =====
+document.addEventListener("DOMContentLoaded", async () => {
+  try {
+    // Initialize data from IndexedDB (settings first: new chats use the default model)
+    await loadSettings();
+    await initializeData();
+    await loadOutbox();
+    await loadProviderSettings();
+    await loadContextMode();
+    await loadPersonas();
+    await loadPromptTemplates();
+    await loadModelRates();
+
+    // Initialize debug mode from URL parameter or IndexedDB
+    const urlParams = new URLSearchParams(window.location.search);
+    const storedDebugMode = await getItem('debugMode');
+    window.DEBUG_MODE = urlParams.get('debug') === 'true' || storedDebugMode === 'true';
+
+    renderFullConversation();
+    updateChatHistoryList();
+    renderPersonaSelect();
+    renderProviderSelect();
+    await renderModelDropdown();
+    updateOnlineStatus(); // Update the online status indicator
+    checkConnectivity().then(() => processOutbox());
+  } catch (error) {
+    console.error("Error initializing app:", error);
+    showError("Error initializing application: " + error.message);
+  }
+});
+
+// ===== Stream cancellation =====
+// Controller for the reply currently being streamed, or null when idle
+let activeAbortController = null;
+
+function stopGeneration() {
+  if (activeAbortController) {
+    activeAbortController.abort();
+  }
+}
+
+function setStreamingControls(streaming) {
+  const generateBtn = document.getElementById("generate");
+  const stopBtn = document.getElementById("stopGenerate");
+  if (generateBtn) generateBtn.hidden = streaming;
+  if (stopBtn) stopBtn.hidden = !streaming;
+}
+
+// Wrap a provider stream so that aborting stops iteration immediately,
+// even when the underlying iterator (e.g. puter.ai.chat) cannot be cancelled itself
+async function* abortableStream(stream, signal) {
+  const iterator = stream[Symbol.asyncIterator]();
+  const aborted = new Promise((_, reject) => {
+    const rejectWithAbort = () => reject(new DOMException("Generation stopped", "AbortError"));
+    if (signal.aborted) rejectWithAbort();
+    signal.addEventListener("abort", rejectWithAbort, { once: true });
+  });
+  aborted.catch(() => {}); // Handled by the race below
+
+  try {
+    while (true) {
+      const { value, done } = await Promise.race([iterator.next(), aborted]);
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    // Let the provider release its connection; don't wait on it
+    iterator.return?.().catch(() => {});
+  }
+}
+
+// Role and content only, with attachment references replaced by their data
+async function toProviderMessages(messages) {
+  return Promise.all(messages.map(async msg => ({ role: msg.role, content: await resolveMessageContent(msg.content) })));
+}
+
+function markReplyInterrupted(bubble) {
+  if (!bubble) return;
+  bubble.classList.remove('streaming');
+  bubble.classList.add('interrupted');
+  if (!bubble.querySelector('.interrupted-note')) {
+    const note = document.createElement('div');
+    note.className = 'interrupted-note';
+    note.textContent = '⏹ Stopped — reply truncated';
+    bubble.insertBefore(note, bubble.querySelector('.message-actions'));
+  }
+}
+
+// Selected model for the active provider, or null (with an error shown) when there is none
+function getSelectedModel(provider) {
+  const model = document.getElementById("model").value;
+  if (!model) {
+    showError(`No model selected. Configure ${provider.name} from the model menu.`);
+    return null;
+  }
+  return model;
+}
+
+async function sendMessage() {
+  const promptEl = document.getElementById("prompt");
+  const prompt = promptEl.value.trim();
+  if ((!prompt && pendingAttachments.length === 0) || activeAbortController) return;
+
+  const compareWith = getComparisonModels();
+  if (compareWith && compareWith.length < MIN_COMPARE_MODELS) {
+    showError(`Tick at least ${MIN_COMPARE_MODELS} models in the model menu to compare them, or turn compare mode off.`);
+    return;
+  }
+  if (!compareWith && !getSelectedModel(getActiveProvider())) return;
+
+  // Attachments go first, as Claude handles images best when they precede the question
+  const attachments = pendingAttachments;
+  let content = prompt;
+  if (attachments.length > 0) {
+    try {
+      const parts = await storeAttachments(attachments, currentChatId);
+      content = prompt ? [...parts, { type: "text", text: prompt }] : parts;
+    } catch (error) {
+      console.error("Error saving attachments:", error);
+      showError("Error saving attachments: " + error.message);
+      return;
+    }
+  }
+
+  // Offline, or behind prompts that are still queued: the outbox sends it later, in order
+  if (!isOnline || hasQueuedOutboxItems(currentChatId)) {
+    await queueOutboxMessage(content, prompt, compareWith);
+    clearComposer();
+    processOutbox();
+    return;
+  }
+
+  // Add user message to conversation
+  const userMessage = appendMessage({
+    role: "user",
+    content
+  });
+
+  // Sending without picking a compared reply continues from the selected one
+  pendingComparison = null;
+  await autoSave();
+  renderFullConversation();
+  clearComposer();
+
+  if (compareWith) {
+    await generateComparison(compareWith, { prompt, attachments, messageId: userMessage.id });
+  } else {
+    await generateReply({ prompt, attachments, messageId: userMessage.id });
+  }
+}
+
+function clearComposer() {
+  const promptEl = document.getElementById("prompt");
+  promptEl.value = "";
+  promptEl.style.height = 'auto';
+  promptEl.style.height = Math.min(promptEl.scrollHeight, 200) + 'px';
+  pendingAttachments = [];
+  renderAttachmentTray();
+}
+
+// Stream one reply into contentContainer, retrying transient failures until text arrives.
+// Text, first-token time and usage accumulate on `stats`, so callers keep them if it throws.
+async function streamModelReply(provider, model, payload, generationOptions, signal, contentContainer, stats) {
+  for (let attempt = 1; ; attempt++) {
+    // Timings cover the request that succeeds, not context summarization or retry waits
+    stats.startedAt = performance.now();
+    stats.firstTokenAt = 0;
+    try {
+      const response = abortableStream(
+        provider.streamChat(payload, {
+          model,
+          signal,
+          temperature: generationOptions.temperature,
+          maxTokens: generationOptions.maxTokens,
+          topP: generationOptions.topP,
+          stopSequences: generationOptions.stopSequences
+        }),
+        signal
+      );
+
+      for await (const part of response) {
+        if (part?.text) {
+          stats.firstTokenAt = stats.firstTokenAt || performance.now();
+          stats.text += part.text;
+          renderReplyStreamUpdate(contentContainer, stats.text);
+        }
+        if (part?.usage) {
+          stats.usage = { ...stats.usage, ...part.usage };
+        }
+      }
+      return;
+    } catch (err) {
+      // Once text has streamed a retry would start the reply over, so only retry before that
+      const failure = err.name === "AbortError" || stats.text ? null : classifyRequestError(err);
+      const delay = failure && (failure.retryAfter ?? getBackoffDelay(attempt, REQUEST_RETRY_BASE_MS, REQUEST_RETRY_MAX_MS));
+      if (!failure?.retryable || attempt >= REQUEST_MAX_ATTEMPTS || delay > REQUEST_RETRY_MAX_MS) {
+        throw err;
+      }
+
+      console.warn(`Attempt ${attempt} failed (${failure.type}), retrying in ${delay}ms:`, err);
+      const seconds = Math.ceil(delay / 1000);
+      contentContainer.innerHTML = `<em>${escapeHtml(`${failure.message} Retrying in ${seconds}s (attempt ${attempt + 1} of ${REQUEST_MAX_ATTEMPTS})…`)}</em>`;
+      await waitForRetry(delay, signal);
+    }
+  }
+}
+
+// Stream an assistant reply for the current active path and append it as a new branch.
+// If the user stops before any text arrives, the message options.messageId is dropped and
+// options.prompt / options.attachments are handed back to the composer.
+// Resolves to { status: 'sent' | 'stopped' | 'failed', error } so callers can react.
+async function generateReply(options = {}) {
+  const generateBtn = document.getElementById("generate");
+  let contentContainer = null;
+  // The streamed text with its timing and token counts (see getReplyMetadata)
+  const stats = { text: '', provider: null, model: null, startedAt: 0, firstTokenAt: 0, usage: null };
+  
+  try {
+    generateBtn.disabled = true;
+    
+    try {
+    const provider = getActiveProvider();
+    const model = getSelectedModel(provider);
+    if (!model) return;
+
+    contentContainer = renderReplyStreamInit();
+    if (!contentContainer) {
+      throw new Error("Failed to initialize stream container");
+    }
+
+    activeAbortController = new AbortController();
+    const { signal } = activeAbortController;
+    setStreamingControls(true);
+    Object.assign(stats, { provider: provider.id, model });
+
+    // Call the AI provider with the part of the active path that fits the model's context window
+    const generationOptions = getGenerationOptions();
+    const payload = await buildContextPayload(conversation, {
+      provider,
+      model,
+      signal,
+      systemPrompt: generationOptions.systemPrompt,
+      maxTokens: generationOptions.maxTokens,
+      contextBudget: generationOptions.contextBudget,
+      onStatus: (status) => {
+        contentContainer.innerHTML = `<em>${escapeHtml(status)}</em>`;
+      }
+    });
+    await streamModelReply(provider, model, payload, generationOptions, signal, contentContainer, stats);
+
+    debugLog(`Reply from ${model} (${stats.text.length} chars)`, stats.text);
+
+    // Add AI response to conversation
+    appendMessage({
+      role: "assistant",
+      content: stats.text,
+      ...getReplyMetadata(stats)
+    });
+
+    await autoSave();
+    await updateCurrentChatInHistory(); // Update chat history after conversation
+
+    // Re-render so the new reply gets its actions and branch switcher
+    renderFullConversation();
+    return { status: 'sent' };
+  } catch (err) {
+    cancelReplyStream(contentContainer);
+    if (err.name === "AbortError") {
+      await handleStoppedReply(contentContainer, stats.text, options, getReplyMetadata(stats));
+      return { status: 'stopped' };
+    }
+
+    console.error("AI request error:", err);
+    const failure = classifyRequestError(err);
+    const output = document.getElementById("output");
+    if (output && output.lastChild) {
+      const lastChild = output.lastChild.querySelector('.content');
+      if (lastChild) {
+        lastChild.innerHTML = `<span class="error-message" title="${escapeHtml(failure.detail)}">⚠️ ${escapeHtml(failure.message)}</span>`;
+      }
+    }
+    // The provider may be unreachable even though the browser reports a connection
+    if (failure.type === 'network') {
+      checkConnectivity();
+    }
+    // Restore the previously selected branch if a regenerate/edit failed
+    rebuildConversation();
+    return { status: 'failed', error: err };
+  }
+    
+  } finally {
+    activeAbortController = null;
+    setStreamingControls(false);
+    generateBtn.disabled = false;
+    await flushDeferredChatRefresh();
+  }
+}
+
+// Keep whatever was streamed before the user pressed Stop, marked as truncated
+async function handleStoppedReply(contentContainer, reply, { prompt, attachments, messageId } = {}, metadata = {}) {
+  if (!reply) {
+    // Nothing arrived yet: drop a freshly sent prompt and hand it back for editing
+    const lastMessage = conversation[conversation.length - 1];
+    if (messageId && lastMessage && lastMessage.id === messageId) {
+      removeMessage(lastMessage.id);
+      const promptEl = document.getElementById("prompt");
+      if (promptEl && !promptEl.value) {
+        promptEl.value = prompt || "";
+      }
+      if (attachments?.length && pendingAttachments.length === 0) {
+        pendingAttachments = attachments;
+        renderAttachmentTray();
+      }
+    } else {
+      // Regenerate/edit stopped early: fall back to the previously selected branch
+      rebuildConversation();
+    }
+    renderFullConversation();
+    await autoSave();
+    await updateCurrentChatInHistory();
+    return;
+  }
+
+  appendMessage({
+    role: "assistant",
+    content: reply,
+    truncated: true,
+    ...metadata
+  });
+
+  await autoSave();
+  await updateCurrentChatInHistory();
+  renderFullConversation();
+}
+
+// ===== Model Comparison =====
+// Compare mode sends one prompt to several models of the active provider at once and streams
+// their replies into side-by-side columns. Every reply is stored as a sibling branch of the
+// prompt. The one picked continues the conversation (the first, until one is picked) and the
+// others stay reachable through the branch switcher.
+const MIN_COMPARE_MODELS = 2;
+const MAX_COMPARE_MODELS = 4;
+
+let compareMode = false;
+let compareModels = []; // Ticked in the model dropdown, in the order they were ticked
+// Replies shown side by side until one is picked: { chatId, parentId, replyIds, failures }
+let pendingComparison = null;
+
+// Models the next prompt goes to, or null when it goes to the selected model only
+function getComparisonModels() {
+  return compareMode ? compareModels : null;
+}
+
+function setCompareMode(enabled) {
+  compareMode = enabled;
+  document.getElementById('modelOptions')?.classList.toggle('comparing', enabled);
+  updateCompareIndicator();
+}
+
+// Returns false when the model could not be added because the limit is reached
+function toggleCompareModel(model, included) {
+  if (!included) {
+    compareModels = compareModels.filter(value => value !== model);
+  } else if (!compareModels.includes(model)) {
+    if (compareModels.length >= MAX_COMPARE_MODELS) {
+      showError(`Compare up to ${MAX_COMPARE_MODELS} models at a time.`);
+      return false;
+    }
+    compareModels.push(model);
+  }
+  updateCompareIndicator();
+  return true;
+}
+
+// The model button shows how many models a prompt will go to
+function updateCompareIndicator() {
+  const button = document.getElementById('modelSelectorBtn');
+  if (!button) return;
+  if (compareMode) {
+    button.dataset.compare = compareModels.length;
+    button.title = `Comparing ${compareModels.length} models`;
+  } else {
+    delete button.dataset.compare;
+    button.title = 'Select Model';
+  }
+}
+
+function getModelDisplayName(model) {
+  const option = Array.from(document.getElementById('model')?.options || []).find(entry => entry.value === model);
+  return option?.textContent || model;
+}
+
+function renderCompareStreamInit(models) {
+  const output = document.getElementById("output");
+  const row = document.createElement("div");
+  row.className = "compare-row";
+  row.innerHTML = models.map(model => `
+    <div class="message assistant streaming compare-column">
+      <strong>🤖 ${escapeHtml(getModelDisplayName(model))}:</strong><br><div class="content"><em>Thinking...</em></div>
+    </div>`).join('');
+  output.appendChild(row);
+  output.scrollTop = output.scrollHeight;
+  return Array.from(row.querySelectorAll('.content'));
+}
+
+// Stream replies from every model for the current active path and add them as sibling branches.
+// Stopping keeps whatever each model had sent; if none had sent anything the prompt goes back to
+// the composer, as in generateReply(). Resolves to { status: 'sent' | 'stopped' | 'failed', error }.
+async function generateComparison(models, options = {}) {
+  const generateBtn = document.getElementById("generate");
+  const provider = getActiveProvider();
+  const history = [...conversation];
+  const runs = models.map(model => ({
+    model,
+    stats: { text: '', provider: provider.id, model, startedAt: 0, firstTokenAt: 0, usage: null }
+  }));
+  const containers = renderCompareStreamInit(models);
+
+  generateBtn.disabled = true;
+  activeAbortController = new AbortController();
+  const { signal } = activeAbortController;
+  setStreamingControls(true);
+
+  try {
+    const generationOptions = getGenerationOptions();
+    const results = await Promise.allSettled(runs.map(async ({ model, stats }, index) => {
+      const contentContainer = containers[index];
+      try {
+        const payload = await buildContextPayload(history, {
+          provider,
+          model,
+          signal,
+          systemPrompt: generationOptions.systemPrompt,
+          maxTokens: generationOptions.maxTokens,
+          contextBudget: generationOptions.contextBudget,
+          onStatus: (status) => {
+            contentContainer.innerHTML = `<em>${escapeHtml(status)}</em>`;
+          }
+        });
+        await streamModelReply(provider, model, payload, generationOptions, signal, contentContainer, stats);
+      } finally {
+        // Models finish at different times, so each duration ends with its own stream
+        stats.finishedAt = performance.now();
+      }
+    }));
+
+    const replies = [];
+    const failures = [];
+    results.forEach((result, index) => {
+      const { model, stats } = runs[index];
+      cancelReplyStream(containers[index]);
+      const stopped = result.status === 'rejected' && result.reason?.name === 'AbortError';
+
+      if (result.status === 'fulfilled' || (stopped && stats.text)) {
+        replies.push({
+          role: "assistant",
+          content: stats.text,
+          ...(stopped && { truncated: true }),
+          ...getReplyMetadata(stats)
+        });
+      } else if (!stopped) {
+        console.error(`AI request error (${model}):`, result.reason);
+        failures.push({ model, error: result.reason, ...classifyRequestError(result.reason) });
+      }
+    });
+
+    // The provider may be unreachable even though the browser reports a connection
+    if (failures.some(failure => failure.type === 'network')) {
+      checkConnectivity();
+    }
+
+    if (replies.length === 0) {
+      if (signal.aborted) {
+        await handleStoppedReply(null, '', options);
+        return { status: 'stopped' };
+      }
+      failures.forEach(failure => {
+        containers[models.indexOf(failure.model)].innerHTML =
+          `<span class="error-message" title="${escapeHtml(failure.detail)}">⚠️ ${escapeHtml(failure.message)}</span>`;
+      });
+      return { status: 'failed', error: failures[0]?.error };
+    }
+
+    const nodes = appendSiblingMessages(replies);
+    pendingComparison = {
+      chatId: currentChatId,
+      parentId: nodes[0].parentId,
+      replyIds: nodes.map(node => node.id),
+      failures: failures.map(({ model, message, detail }) => ({ model, message, detail }))
+    };
+
+    await autoSave();
+    await updateCurrentChatInHistory();
+    renderFullConversation();
+    return { status: signal.aborted ? 'stopped' : 'sent' };
+  } catch (err) {
+    console.error("AI request error:", err);
+    showError("Error comparing models: " + err.message);
+    rebuildConversation();
+    return { status: 'failed', error: err };
+  } finally {
+    activeAbortController = null;
+    setStreamingControls(false);
+    generateBtn.disabled = false;
+    await flushDeferredChatRefresh();
+  }
+}
+
+// Whether msg, the last message on the active path, is one of the replies waiting to be picked
+function isPendingComparison(msg) {
+  return pendingComparison?.chatId === currentChatId && pendingComparison.replyIds.includes(msg.id);
+}
+
+function renderComparisonRow() {
+  const row = document.createElement("div");
+  row.className = "compare-row";
+
+  pendingComparison.replyIds
+    .map(id => messageNodes.find(node => node.id === id))
+    .filter(Boolean)
+    .forEach(msg => {
+      const column = document.createElement("div");
+      column.className = "message assistant compare-column";
+      column.dataset.messageId = msg.id;
+      column.innerHTML = `<strong>🤖 ${escapeHtml(getModelDisplayName(msg.model))}:</strong><br><div class="content">${parseMarkdown(getMessageText(msg))}</div>${renderMessageFooter(msg)}
+        <div class="message-actions"><button class="message-action-btn primary" data-action="pick-reply" title="Continue the conversation from this reply">✓ Continue with this</button></div>`;
+      if (msg.truncated) {
+        markReplyInterrupted(column);
+      }
+      row.appendChild(column);
+    });
+
+  pendingComparison.failures.forEach(failure => {
+    const column = document.createElement("div");
+    column.className = "message assistant compare-column error";
+    column.innerHTML = `<strong>🤖 ${escapeHtml(getModelDisplayName(failure.model))}:</strong><br><div class="content"><span class="error-message" title="${escapeHtml(failure.detail)}">⚠️ ${escapeHtml(failure.message)}</span></div>`;
+    row.appendChild(column);
+  });
+
+  return row;
+}
+
+async function pickComparisonReply(messageId) {
+  pendingComparison = null;
+  selectBranch(messageId);
+  await updateCurrentChatInHistory();
+  renderFullConversation();
+}
+
+// ===== Offline Outbox =====
+// Prompts written while offline are stored in the outbox store and shown as pending bubbles
+// after the conversation. Once online they are sent one at a time, in order, for the open
+// chat (queued prompts of other chats go out when that chat is opened in some tab). A failed send is
+// retried with exponential backoff; after OUTBOX_MAX_ATTEMPTS, or an error that retrying
+// can't fix (see classifyRequestError), it waits for a manual retry.
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_RETRY_BASE_MS = 2000;
+const OUTBOX_RETRY_MAX_MS = 5 * 60 * 1000;
+
+let outboxItems = [];
+let outboxProcessing = false;
+let outboxTimer = null;
+
+async function loadOutbox() {
+  outboxItems = await getAllRecords(OUTBOX_STORE);
+  outboxItems.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// A send interrupted by a reload: if its prompt made it into the chat and got a reply (even a
+// stopped one) it is done; otherwise the prompt is taken back out and goes back in the queue.
+// Only called for the open chat while holding its outbox lock, so no other tab can be in the
+// middle of sending these.
+async function recoverInterruptedOutboxItems(chatId) {
+  if (chatId !== currentChatId) return;
+
+  const interrupted = getOutboxItems(chatId).filter(item => item.status === 'sending');
+  let removedPrompts = false;
+  for (const item of interrupted) {
+    const saved = item.messageId && messageNodes.some(node => node.id === item.messageId);
+    if (saved && getChildMessages(item.messageId).length > 0) {
+      await removeOutboxItem(item);
+      continue;
+    }
+    if (saved) {
+      removeMessage(item.messageId);
+      removedPrompts = true;
+    }
+    await saveOutboxItem({ ...item, status: 'queued', messageId: null });
+  }
+
+  if (removedPrompts) {
+    await autoSave();
+    renderFullConversation();
+  }
+}
+
+// The queued files as composer attachments, handed back if a send is stopped before any text
+async function getOutboxAttachments(item) {
+  const attachmentIds = getMessageAttachments(item).map(part => part.attachmentId);
+  if (attachmentIds.length === 0) return [];
+  const records = await getRecordsByIds(ATTACHMENTS_STORE, attachmentIds);
+  return records.map(({ id, kind, name, mediaType, size, blob }) => ({ id, kind, name, mediaType, size, blob }));
+}
+
+function getOutboxItems(chatId) {
+  return outboxItems.filter(item => item.chatId === chatId);
+}
+
+// Whether new prompts for the chat must queue behind earlier ones to keep their order
+function hasQueuedOutboxItems(chatId) {
+  return getOutboxItems(chatId).some(item => item.status !== 'failed');
+}
+
+async function saveOutboxItem(item) {
+  const index = outboxItems.findIndex(existing => existing.id === item.id);
+  if (index === -1) {
+    outboxItems.push(item);
+  } else {
+    outboxItems[index] = item;
+  }
+  await writeRecords([{ store: OUTBOX_STORE, put: [item] }]);
+}
+
+async function removeOutboxItem(item, { deleteAttachments = false } = {}) {
+  outboxItems = outboxItems.filter(existing => existing.id !== item.id);
+  const attachmentIds = deleteAttachments ? getMessageAttachments(item).map(part => part.attachmentId) : [];
+  await writeRecords([
+    { store: OUTBOX_STORE, delete: [item.id] },
+    { store: ATTACHMENTS_STORE, delete: attachmentIds }
+  ]);
+}
+
+// compareModels is kept so a prompt queued in compare mode is still sent to every ticked model
+async function queueOutboxMessage(content, prompt, compareModels = null) {
+  await saveOutboxItem({
+    id: 'outbox_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+    chatId: currentChatId,
+    content,
+    prompt,
+    compareModels: compareModels ? [...compareModels] : null,
+    createdAt: new Date().toISOString(),
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+    messageId: null
+  });
+  renderFullConversation();
+}
+
+function scheduleOutbox(delay) {
+  clearTimeout(outboxTimer);
+  outboxTimer = setTimeout(processOutbox, Math.max(delay, 0));
+}
 
-  // Count user and assistant messages
-  const userMsgs = conversation.filter(msg => msg.role === 'user');
-  const assistantMsgs = conversation.filter(msg => msg.role === 'assistant');
+// Send queued prompts of the current chat in order until one fails or the queue is empty
+async function processOutbox() {
+  if (outboxProcessing || !isOnline || activeAbortController) return;
+  outboxProcessing = true;
+  clearTimeout(outboxTimer);
 
-  // If we have too many user messages, remove oldest ones
-  if (userMsgs.length > MAX_USER_MSGS) {
-    for (let i = 0; i < userMsgs.length - MAX_USER_MSGS; i++) {
-      // Find and remove the oldest user message
-      const index = conversation.findIndex(msg => msg.role === 'user');
-      if (index !== -1) {
-        conversation.splice(index, 1);
+  // Only one tab sends a chat's queue; the others follow along through sync messages
+  const chatId = currentChatId;
+  try {
+    await withLock(OUTBOX_LOCK_PREFIX + chatId, async (acquired) => {
+      if (!acquired) return;
+      await recoverInterruptedOutboxItems(chatId);
+
+      while (isOnline && currentChatId === chatId) {
+        const item = getOutboxItems(chatId).find(candidate => candidate.status === 'queued');
+        if (!item) break;
+
+        const wait = item.nextAttemptAt - Date.now();
+        if (wait > 0) {
+          scheduleOutbox(wait);
+          break;
+        }
+        if (!(await sendOutboxItem(item))) break;
       }
-    }
+    }, { ifAvailable: true });
+  } finally {
+    outboxProcessing = false;
   }
+}
 
-  // If we have too many assistant messages, remove oldest ones
-  if (assistantMsgs.length > MAX_ASSISTANT_MSGS) {
-    for (let i = 0; i < assistantMsgs.length - MAX_ASSISTANT_MSGS; i++) {
-      // Find and remove the oldest assistant message
-      const index = conversation.findIndex(msg => msg.role === 'assistant');
-      if (index !== -1) {
-        conversation.splice(index, 1);
-      }
-    }
+async function sendOutboxItem(item) {
+  if (!item.compareModels && !getSelectedModel(getActiveProvider())) return false;
+
+  const userMessage = appendMessage({ role: "user", content: item.content });
+  pendingComparison = null;
+  await saveOutboxItem({ ...item, status: 'sending', messageId: userMessage.id });
+  await autoSave();
+  renderFullConversation();
+
+  const options = { prompt: item.prompt, attachments: await getOutboxAttachments(item), messageId: userMessage.id };
+  const result = item.compareModels
+    ? await generateComparison(item.compareModels, options)
+    : await generateReply(options);
+
+  if (result?.status === 'sent') {
+    await removeOutboxItem(item);
+    return true;
   }
 
-  // If we still exceed total limit, remove oldest messages until we're under limit
-  while (conversation.length > MAX_TOTAL_MSGS) {
-    conversation.shift(); // Remove the oldest message
+  if (result?.status === 'stopped') {
+    // Stopping a queued send cancels it; the prompt was handed back to the composer
+    await removeOutboxItem(item);
+    renderFullConversation();
+    return false;
   }
-}
 
-// ===== Display limiter for UI =====
-const MAX_DISPLAY_MSGS = 50;
-function enforceDisplayLimits(outputElement) {
-  const messages = outputElement.querySelectorAll('.message');
-  if (messages.length > MAX_DISPLAY_MSGS) {
-    // Remove the oldest messages from the UI
-    for (let i = 0; i < messages.length - MAX_DISPLAY_MSGS; i++) {
-      messages[i].remove();
-    }
+  // Take the prompt back out of the chat and retry later, unless retrying can't help
+  removeMessage(userMessage.id);
+  await autoSave();
+  const failure = classifyRequestError(result?.error);
+  const attempts = item.attempts + 1;
+  const gaveUp = !failure.retryable || attempts >= OUTBOX_MAX_ATTEMPTS;
+  const nextAttemptAt = gaveUp ? 0 : Date.now() + getBackoffDelay(attempts, OUTBOX_RETRY_BASE_MS, OUTBOX_RETRY_MAX_MS);
+  await saveOutboxItem({
+    ...item,
+    status: gaveUp ? 'failed' : 'queued',
+    attempts,
+    nextAttemptAt,
+    lastError: failure.message,
+    messageId: null
+  });
+  renderFullConversation();
+  if (!gaveUp) {
+    scheduleOutbox(nextAttemptAt - Date.now());
   }
+  return false;
 }
 
-// ===== Auto-save =====
-let saveTimeout;
-async function autoSave() {
-  clearTimeout(saveTimeout);
-  saveTimeout = setTimeout(async () => {
-    try {
-      enforceContextLimits();
-      await setItem("conversation", JSON.stringify(conversation));
-      await saveChatHistory();
-    } catch (error) {
-      console.error("Error saving:", error);
-    }
-  }, 1000); // Save after 1 second of inactivity
+async function retryOutboxItem(itemId) {
+  const item = outboxItems.find(candidate => candidate.id === itemId);
+  if (!item) return;
+  await saveOutboxItem({ ...item, status: 'queued', attempts: item.status === 'failed' ? 0 : item.attempts, nextAttemptAt: 0 });
+  renderFullConversation();
+  processOutbox();
 }
 
-// ===== Initialize on page load =====
-document.addEventListener("DOMContentLoaded", async () => {
-  try {
-    // Initialize data from IndexedDB
-    await initializeData();
+async function cancelOutboxItem(itemId) {
+  const item = outboxItems.find(candidate => candidate.id === itemId);
+  if (!item || item.status === 'sending') return;
+  await removeOutboxItem(item, { deleteAttachments: true });
+  renderFullConversation();
+}
 
-    // Initialize debug mode from URL parameter or IndexedDB
-    const urlParams = new URLSearchParams(window.location.search);
-    const storedDebugMode = await getItem('debugMode');
-    window.DEBUG_MODE = urlParams.get('debug') === 'true' || storedDebugMode === 'true';
+function getOutboxStatusText(item) {
+  if (item.status === 'failed') {
+    return `⚠️ Not sent: ${item.lastError}`;
+  }
+  if (!isOnline) {
+    return `⏳ Queued — will be ${item.compareModels ? `compared across ${item.compareModels.length} models` : 'sent'} when you're back online`;
+  }
+  if (item.nextAttemptAt > Date.now()) {
+    const time = new Date(item.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    return `⏳ ${item.lastError} Retrying at ${time} (attempt ${item.attempts + 1} of ${OUTBOX_MAX_ATTEMPTS})`;
+  }
+  return '⏳ Queued';
+}
 
-    renderFullConversation();
-    updateChatHistoryList();
-    updateOnlineStatus(); // Update the online status indicator
-  } catch (error) {
-    console.error("Error initializing app:", error);
-    showError("Error initializing application: " + error.message);
+function renderOutboxBubble(item) {
+  const bubble = document.createElement("div");
+  bubble.className = `message user pending${item.status === 'failed' ? ' failed' : ''}`;
+  bubble.dataset.outboxId = item.id;
+
+  const retryLabel = item.status === 'failed' ? '↻ Retry' : '↻ Send now';
+  const canRetry = item.status === 'failed' || (isOnline && item.nextAttemptAt > Date.now());
+  bubble.innerHTML = `<strong>👤 You:</strong><br><div class="content">${renderAttachmentParts(item)}${parseMarkdown(getMessageText(item))}</div>
+    <div class="outbox-status">${escapeHtml(getOutboxStatusText(item))}</div>
+    <div class="message-actions">
+      ${canRetry ? `<button class="message-action-btn" data-action="retry-outbox">${retryLabel}</button>` : ''}
+      <button class="message-action-btn" data-action="cancel-outbox" title="Remove from the outbox">✕ Cancel</button>
+    </div>`;
+  return bubble;
+}
+
+document.getElementById("output")?.addEventListener("click", async (e) => {
+  const button = e.target.closest('[data-action]');
+  const bubble = button?.closest('.message[data-outbox-id]');
+  if (!button || !bubble) return;
+
+  switch (button.dataset.action) {
+    case 'retry-outbox':
+      await retryOutboxItem(bubble.dataset.outboxId);
+      break;
+    case 'cancel-outbox':
+      await cancelOutboxItem(bubble.dataset.outboxId);
+      break;
   }
 });
 
-async function sendMessage() {
-  const generateBtn = document.getElementById("generate");
-  
-  try {
-    generateBtn.disabled = true;
-    
-    try {
-    const promptEl = document.getElementById("prompt");
-    const prompt = promptEl.value.trim();
-    if (!prompt) return;
+// ===== Message Actions: edit, regenerate and branch switching =====
+async function regenerateReply(messageId) {
+  // Detach the old reply from the active path; the new one becomes its sibling
+  truncateConversationBefore(messageId);
+  renderFullConversation();
+  await generateReply();
+}
 
-    // Check if we're online before attempting API call
-    if (!isOnline) {
-      showError("You are currently offline. Please reconnect to send messages.");
-      return;
-    }
+async function editAndResend(messageId, newContent) {
+  const text = newContent.trim();
+  const original = messageNodes.find(node => node.id === messageId);
+  const attachments = original ? getMessageAttachments(original) : [];
+  if (!text && attachments.length === 0) return;
+
+  // The edited prompt becomes a sibling of the original, which stays reachable via the switcher.
+  // Attachments are kept; only the text is edited.
+  truncateConversationBefore(messageId);
+  appendMessage({
+    role: "user",
+    content: attachments.length > 0 ? [...attachments, ...(text ? [{ type: "text", text }] : [])] : text
+  });
 
-    const model = document.getElementById("model").value;
+  await autoSave();
+  renderFullConversation();
+  await generateReply();
+}
 
-    // Add user message to conversation
-    conversation.push({
-      role: "user",
-      content: prompt
-    });
+function startEditingMessage(bubble, messageId) {
+  const message = messageNodes.find(node => node.id === messageId);
+  const contentEl = bubble.querySelector('.content');
+  if (!message || !contentEl || bubble.classList.contains('editing')) return;
+
+  bubble.classList.add('editing');
+  contentEl.innerHTML = `
+    <div class="message-edit">
+      <textarea class="message-edit-input" rows="3" aria-label="Edit message"></textarea>
+      <div class="message-edit-actions">
+        <button class="message-action-btn" data-action="cancel-edit">Cancel</button>
+        <button class="message-action-btn primary" data-action="submit-edit">Save &amp; Submit</button>
+      </div>
+    </div>`;
 
-    // Enforce context limits before proceeding
-    enforceContextLimits();
-    await autoSave();
+  const input = contentEl.querySelector('.message-edit-input');
+  input.value = getMessageText(message);
+  input.focus();
+}
+
+async function showSiblingBranch(messageId, offset) {
+  if (switchBranch(messageId, offset)) {
+    await updateCurrentChatInHistory();
     renderFullConversation();
-    promptEl.value = "";
-    promptEl.style.height = 'auto';
-    promptEl.style.height = Math.min(promptEl.scrollHeight, 200) + 'px';
+  }
+}
 
-    const contentContainer = renderReplyStreamInit();
-    if (!contentContainer) {
-      throw new Error("Failed to initialize stream container");
-    }
+document.getElementById("output")?.addEventListener("click", async (e) => {
+  const button = e.target.closest('[data-action]');
+  const bubble = button?.closest('.message[data-message-id]');
+  if (!button || !bubble) return;
 
-    // Call the AI API
-    const response = await puter.ai.chat(conversation, { model, stream: true });
+  if (button.dataset.action === 'open-artifact') {
+    const message = messageNodes.find(node => node.id === bubble.dataset.messageId);
+    openArtifactPreview(message?.artifact, message?.id);
+    return;
+  }
 
-    let reply = "";
-    for await (const part of response) {
-      if (part?.text) {
-        reply += part.text;
-        renderReplyStreamUpdate(contentContainer, reply);
-      }
-    }
+  // Don't reshape the tree while a reply is streaming
+  if (activeAbortController) return;
+
+  const messageId = bubble.dataset.messageId;
+  switch (button.dataset.action) {
+    case 'edit':
+      startEditingMessage(bubble, messageId);
+      break;
+    case 'cancel-edit':
+      renderFullConversation();
+      break;
+    case 'submit-edit':
+      await editAndResend(messageId, bubble.querySelector('.message-edit-input').value);
+      break;
+    case 'regenerate':
+      await regenerateReply(messageId);
+      break;
+    case 'pick-reply':
+      await pickComparisonReply(messageId);
+      break;
+    case 'prev-branch':
+      await showSiblingBranch(messageId, -1);
+      break;
+    case 'next-branch':
+      await showSiblingBranch(messageId, 1);
+      break;
+  }
+});
 
-    console.log(reply);
+// ===== Event Listeners =====
+document.getElementById("generate")?.addEventListener("click", async () => {
+  await sendMessage()
+});
 
-    // Add AI response to conversation
-    conversation.push({
-      role: "assistant",
-      content: reply
-    });
+document.getElementById("stopGenerate")?.addEventListener("click", stopGeneration);
 
-    // Enforce context limits again after adding assistant response
-    enforceContextLimits();
-    await autoSave();
-    await updateCurrentChatInHistory(); // Update chat history after conversation
+// Code block buttons live in rendered Markdown, which is sanitized and so carries no inline handlers
+document.addEventListener("click", (e) => {
+  const button = e.target.closest('.code-block-wrapper [data-action]');
+  if (!button) return;
 
-    contentContainer.parentElement.classList.remove('streaming');
-  } catch (err) {
-    console.error("AI request error:", err);
-    const output = document.getElementById("output");
-    if (output && output.lastChild) {
-      const lastChild = output.lastChild.querySelector('.content');
-      if (lastChild) {
-        // Check if this is an offline error
-        if (err.message && (err.message.includes("offline") || err.message.includes("Network connection"))) {
-          lastChild.innerHTML = `<span class="error-message">⚠️ ${escapeHtml("You are currently offline. Please reconnect to continue.")}</span>`;
-        } else {
-          lastChild.innerHTML = `<span class="error-message">Error: ${escapeHtml(err.message || "Unknown error")}</span>`;
-        }
-      }
-    }
+  switch (button.dataset.action) {
+    case 'copy-code':
+      copyCode(button);
+      break;
+    case 'download-code':
+      downloadCodeBlock(button);
+      break;
+    case 'toggle-wrap':
+      toggleCodeWrap(button);
+      break;
+    case 'toggle-line-numbers':
+      toggleLineNumbers(button);
+      break;
+    case 'toggle-collapse':
+      toggleCodeCollapse(button);
+      break;
+    case 'toggle-diff':
+      toggleCodeDiff(button);
+      break;
+    case 'toggle-diagram':
+      toggleDiagramSource(button);
+      break;
+    case 'download-diagram':
+      downloadDiagram(button);
+      break;
+    case 'preview-code':
+      previewCodeBlock(button);
+      break;
   }
-    
-  } finally {
-    generateBtn.disabled = false;
+});
+
+document.getElementById("closePreview")?.addEventListener("click", closeArtifactPreview);
+document.getElementById("reloadPreview")?.addEventListener("click", runActiveArtifact);
+document.getElementById("clearPreviewConsole")?.addEventListener("click", clearArtifactConsole);
+
+// Console output from the sandboxed preview; only messages from the preview frame itself count
+window.addEventListener("message", (e) => {
+  const frame = document.getElementById("previewFrame");
+  if (!frame || e.source !== frame.contentWindow || e.data?.type !== 'artifact-console') return;
+  appendArtifactConsoleLine(String(e.data.level), Array.isArray(e.data.args) ? e.data.args.map(String) : []);
+});
+
+document.getElementById("attachFile")?.addEventListener("click", () => {
+  document.getElementById("attachmentInput").click();
+});
+
+document.getElementById("attachmentInput")?.addEventListener("change", (e) => {
+  addAttachments(e.target.files);
+  e.target.value = "";
+});
+
+document.getElementById("attachmentTray")?.addEventListener("click", (e) => {
+  const button = e.target.closest('[data-action="remove-attachment"]');
+  if (button) {
+    removePendingAttachment(button.closest('[data-attachment-id]').dataset.attachmentId);
   }
-}
+});
 
-// ===== Event Listeners =====
-document.getElementById("generate")?.addEventListener("click", async () => {
-  await sendMessage()
+document.getElementById("prompt")?.addEventListener("paste", (e) => {
+  if (attachFromDataTransfer(e.clipboardData)) {
+    e.preventDefault();
+  }
+});
+
+const inputSection = document.querySelector(".input-section");
+inputSection?.addEventListener("dragover", (e) => {
+  if (!e.dataTransfer?.types.includes("Files")) return;
+  e.preventDefault();
+  inputSection.classList.add("drag-over");
+});
+
+inputSection?.addEventListener("dragleave", (e) => {
+  if (!inputSection.contains(e.relatedTarget)) {
+    inputSection.classList.remove("drag-over");
+  }
 });
 
-document.getElementById("newChat")?.addEventListener("click", async () => {
-  await createNewChat();
+inputSection?.addEventListener("drop", (e) => {
+  inputSection.classList.remove("drag-over");
+  if (attachFromDataTransfer(e.dataTransfer)) {
+    e.preventDefault();
+  }
 });
 
+document.getElementById("newChat")?.addEventListener("click", openNewChatPicker);
+
 document.getElementById("clearCurrentChat")?.addEventListener("click", async () => {
   try {
     if (conversation.length > 0) {
@@ -1314,8 +7048,7 @@ document.getElementById("clearCurrentChat")?.addEventListener("click", async ()
         return;
       }
     }
-    conversation = [];
-    await removeItem("conversation");
+    clearConversationTree();
     document.getElementById("output").innerHTML = "";
     await updateCurrentChatInHistory(); // Update the chat history with the cleared conversation
     updateChatHistoryList();
@@ -1325,11 +7058,135 @@ document.getElementById("clearCurrentChat")?.addEventListener("click", async ()
   }
 });
 
-document.getElementById("newChatBtn")?.addEventListener("click", async () => {
-  await createNewChat();
+document.getElementById("newChatBtn")?.addEventListener("click", openNewChatPicker);
+
+document.getElementById("personaPickerDialog")?.addEventListener("close", async (e) => {
+  const choice = e.target.returnValue;
+  if (choice && choice !== "cancel") {
+    await createNewChat(choice === "none" ? null : choice);
+  }
+});
+
+document.getElementById("personaSelect")?.addEventListener("change", async (e) => {
+  await setChatPersona(e.target.value);
+});
+
+document.getElementById("managePersonasBtn")?.addEventListener("click", openPersonaDialog);
+
+document.getElementById("settingsBtn")?.addEventListener("click", openSettingsDialog);
+
+document.getElementById("settingsDialog")?.addEventListener("close", async (e) => {
+  if (e.target.returnValue === "save") {
+    await saveSettingsDialog();
+  }
+});
+
+document.getElementById("templatesBtn")?.addEventListener("click", openTemplateDialog);
+
+document.getElementById("templateForm")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  await saveTemplateFromForm();
+});
+
+document.getElementById("newTemplateBtn")?.addEventListener("click", () => fillTemplateForm(null));
+
+document.getElementById("closeTemplateDialog")?.addEventListener("click", () => {
+  document.getElementById("templateDialog").close();
+});
+
+document.getElementById("templateList")?.addEventListener("click", async (e) => {
+  const item = e.target.closest('.persona-item');
+  if (!item) return;
+
+  const templateId = item.dataset.templateId;
+  if (e.target.dataset.action === 'delete-template') {
+    await deleteTemplate(templateId);
+  } else {
+    fillTemplateForm(promptTemplates.find(template => template.id === templateId));
+  }
+});
+
+document.getElementById("exportTemplatesBtn")?.addEventListener("click", exportPromptTemplates);
+
+document.getElementById("importTemplatesBtn")?.addEventListener("click", () => {
+  document.getElementById("templateFileInput").click();
+});
+
+document.getElementById("templateFileInput")?.addEventListener("change", async (e) => {
+  if (e.target.files[0]) {
+    await importPromptTemplates(e.target.files[0]);
+    e.target.value = "";
+  }
+});
+
+document.getElementById("usageBtn")?.addEventListener("click", openUsageDialog);
+
+document.getElementById("usageGroupBy")?.addEventListener("change", renderUsageTable);
+
+// Rates apply to the table as they are typed and are saved once a field is left
+document.getElementById("usageRates")?.addEventListener("input", (e) => {
+  const row = e.target.closest('.usage-rate-row');
+  if (!row?.dataset.model) return;
+  readRateRow(row);
+  renderUsageTable();
+});
+
+document.getElementById("usageRates")?.addEventListener("change", saveModelRates);
+
+document.getElementById("exportUsageCsv")?.addEventListener("click", exportUsageCsv);
+
+document.getElementById("personaForm")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  await savePersonaFromForm();
+});
+
+document.getElementById("newPersonaBtn")?.addEventListener("click", () => fillPersonaForm(null));
+
+document.getElementById("closePersonaDialog")?.addEventListener("click", () => {
+  document.getElementById("personaDialog").close();
+});
+
+document.getElementById("personaList")?.addEventListener("click", async (e) => {
+  const item = e.target.closest('.persona-item');
+  if (!item) return;
+
+  const personaId = item.dataset.personaId;
+  if (e.target.dataset.action === 'delete-persona') {
+    await deletePersona(personaId);
+  } else {
+    fillPersonaForm(personas.find(p => p.id === personaId));
+  }
+});
+
+document.getElementById("saveLocal")?.addEventListener("click", openExportDialog);
+
+document.getElementById("exportDialog")?.addEventListener("close", async (e) => {
+  const format = e.target.returnValue;
+  if (format && format !== "cancel") {
+    await exportConversation(format);
+  }
+});
+
+document.getElementById("importForm")?.addEventListener("change", (e) => {
+  if (e.target.name === "importMode") {
+    renderImportPreview();
+  }
 });
 
-document.getElementById("saveLocal")?.addEventListener("click", downloadConversation);
+document.getElementById("importDialog")?.addEventListener("close", async (e) => {
+  const workspace = pendingWorkspaceImport;
+  pendingWorkspaceImport = null;
+  if (!workspace || e.target.returnValue !== "import") return;
+
+  const mode = document.getElementById("importForm").elements.importMode.value;
+  try {
+    const plan = await applyWorkspaceImport(workspace, mode);
+    alert(`Backup restored: ${plan.added.length} chat(s) added, ${plan.updated.length} overwritten${plan.removed.length ? `, ${plan.removed.length} removed` : ''}.`);
+  } catch (error) {
+    console.error("Error importing workspace:", error);
+    showError("Error restoring backup: " + error.message);
+  }
+});
 
 document.getElementById("loadLocal")?.addEventListener("click", () => {
   document.getElementById("fileInput").click();
@@ -1348,8 +7205,10 @@ document.getElementById("fileInput")?.addEventListener("change", async (e) => {
 });
 
 document.getElementById("prompt")?.addEventListener("keydown", (e) => {
-  // Use Ctrl+Enter to submit
-  if (e.ctrlKey && e.key === "Enter") {
+  // An open "/template" list takes the arrow keys, Enter, Tab and Escape
+  if (handleTemplateSuggestionKey(e)) return;
+  // Ctrl+Enter always submits; plain Enter too when chosen in the settings
+  if (isSendShortcut(e)) {
     e.preventDefault(); // Prevent default behavior
     document.getElementById("generate")?.click();
   }
@@ -1360,6 +7219,61 @@ document.getElementById("prompt")?.addEventListener("keydown", (e) => {
   }
 });
 
+document.getElementById("prompt")?.addEventListener("input", updateTemplateSuggestions);
+
+document.getElementById("prompt")?.addEventListener("blur", () => {
+  // Let a click on a suggestion land before the list goes away
+  setTimeout(closeTemplateSuggestions, 150);
+});
+
+document.getElementById("templateSuggestions")?.addEventListener("mousedown", (e) => {
+  const item = e.target.closest('.template-suggestion');
+  if (!item) return;
+  e.preventDefault(); // Keep the focus in the prompt
+  applyTemplate(promptTemplates.find(template => template.id === item.dataset.templateId));
+});
+
+document.getElementById("templateFillDialog")?.addEventListener("close", (e) => {
+  if (e.target.returnValue === "insert") {
+    submitTemplateFill();
+  }
+  pendingTemplateFill = null;
+});
+
+document.getElementById("providerSelect")?.addEventListener("change", async (e) => {
+  await setChatProvider(e.target.value);
+});
+
+document.getElementById("model")?.addEventListener("change", async (e) => {
+  await setChatModel(e.target.value);
+});
+
+document.getElementById("compareMode")?.addEventListener("change", (e) => {
+  setCompareMode(e.target.checked);
+});
+
+document.getElementById("modelOptions")?.addEventListener("change", (e) => {
+  if (!e.target.closest('.compare-check')) return;
+  if (!toggleCompareModel(e.target.value, e.target.checked)) {
+    e.target.checked = false;
+  }
+});
+
+document.getElementById("contextSummarize")?.addEventListener("change", async (e) => {
+  await setContextMode(e.target.checked ? CONTEXT_MODE_SUMMARIZE : CONTEXT_MODE_TRIM);
+});
+
+document.getElementById("providerSettingsBtn")?.addEventListener("click", (e) => {
+  e.stopPropagation();
+  openProviderDialog();
+});
+
+document.getElementById("providerDialog")?.addEventListener("close", async (e) => {
+  if (e.target.returnValue === "save") {
+    await saveProviderDialog();
+  }
+});
+
 // ===== Sidebar Toggle Functionality =====
 document.getElementById("toggleSidebar")?.addEventListener("click", () => {
   const sidebar = document.getElementById("sidebar");
@@ -1391,12 +7305,69 @@ window.addEventListener("resize", () => {
   }
 });
 
-// Register service worker
+// ===== Service Worker & Updates =====
+// Three kinds of update end in the same prompt: a new sw.js waiting to take over, changed
+// app files the active worker has already downloaded into a new versioned cache, or a newer
+// version upgrading the database from another tab.
+let pendingUpdate = null; // 'worker' | 'assets' | 'database'
+let serviceWorkerRegistration = null;
+let reloadOnControllerChange = false;
+
+function promptForUpdate(kind) {
+  // A waiting worker brings the new files with it, so it takes precedence
+  if (pendingUpdate !== 'worker') {
+    pendingUpdate = kind;
+  }
+  document.getElementById("updateBanner").hidden = false;
+}
+
+function applyPendingUpdate() {
+  const waiting = serviceWorkerRegistration?.waiting;
+  if (pendingUpdate === 'worker' && waiting) {
+    reloadOnControllerChange = true;
+    waiting.postMessage({ type: 'skip-waiting' });
+  } else if (navigator.serviceWorker.controller) {
+    navigator.serviceWorker.controller.postMessage({ type: 'apply-update' });
+  } else {
+    location.reload();
+  }
+}
+
 if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data?.type === 'update-available') {
+      promptForUpdate('assets');
+    } else if (e.data?.type === 'update-applied') {
+      location.reload();
+    }
+  });
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloadOnControllerChange) {
+      location.reload();
+    }
+  });
+
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js')
+    navigator.serviceWorker.register('./sw.js')
       .then(registration => {
         console.log('SW registered:', registration);
+        serviceWorkerRegistration = registration;
+
+        // Only an update if a worker already controls the page; the very first install isn't
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          promptForUpdate('worker');
+        }
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+              promptForUpdate('worker');
+            }
+          });
+        });
+
+        navigator.serviceWorker.controller?.postMessage({ type: 'check-for-update' });
       })
       .catch(error => {
         console.log('SW registration failed:', error);
@@ -1404,6 +7375,11 @@ if ('serviceWorker' in navigator) {
   });
 }
 
+document.getElementById("reloadForUpdate")?.addEventListener("click", applyPendingUpdate);
+document.getElementById("dismissUpdate")?.addEventListener("click", () => {
+  document.getElementById("updateBanner").hidden = true;
+});
+
 window.addEventListener('error', (event) => {
   console.error('Global error:', event.error);
   showError('An unexpected error occurred. Please refresh the page.');
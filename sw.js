@@ -1,4 +1,45 @@
-const CACHE_NAME = 'claude-ai-chat-v1';
+// Precached files live in a cache named after the version in version.json, so a deploy that
+// bumps it yields a new cache instead of the old files being served forever.
+const CACHE_PREFIX = 'claude-ai-chat-';
+// Bump "version" with every deploy that changes a precached file; update checks fetch only this
+const VERSION_URL = './version.json';
+// Small bookkeeping cache: which versioned cache is active, installed or waiting to be applied
+const META_CACHE = 'claude-ai-chat-meta';
+const ACTIVE_CACHE_KEY = './__cache/active';
+const INSTALLED_CACHE_KEY = './__cache/installed';
+const AVAILABLE_CACHE_KEY = './__cache/available';
+
+const KATEX_FONTS = [
+  'KaTeX_AMS-Regular',
+  'KaTeX_Caligraphic-Bold',
+  'KaTeX_Caligraphic-Regular',
+  'KaTeX_Fraktur-Bold',
+  'KaTeX_Fraktur-Regular',
+  'KaTeX_Main-Bold',
+  'KaTeX_Main-BoldItalic',
+  'KaTeX_Main-Italic',
+  'KaTeX_Main-Regular',
+  'KaTeX_Math-BoldItalic',
+  'KaTeX_Math-Italic',
+  'KaTeX_SansSerif-Bold',
+  'KaTeX_SansSerif-Italic',
+  'KaTeX_SansSerif-Regular',
+  'KaTeX_Script-Regular',
+  'KaTeX_Size1-Regular',
+  'KaTeX_Size2-Regular',
+  'KaTeX_Size3-Regular',
+  'KaTeX_Size4-Regular',
+  'KaTeX_Typewriter-Regular',
+];
+// Grammars Prism's autoloader requests most often; the others are cached on first use
+const PRISM_LANGUAGES = [
+  'markup', 'markup-templating', 'css', 'clike', 'javascript', 'jsx', 'typescript', 'tsx',
+  'python', 'bash', 'powershell', 'json', 'yaml', 'toml', 'markdown', 'diff', 'sql',
+  'c', 'cpp', 'csharp', 'java', 'kotlin', 'swift', 'go', 'rust', 'ruby', 'php', 'docker',
+  'mermaid', 'dot', 'latex',
+];
+// Only files every page load needs are precached. The rest of vendor/ (other Prism grammars,
+// Mermaid, Graphviz, React and Babel for previews) is several MB and cached once first used.
 const urlsToCache = [
   './',
   './index.html',
@@ -6,17 +47,100 @@ const urlsToCache = [
   './style.css',
   './favicon.png',
   './manifest.json',
+  './vendor/prism/prism-core.min.js',
+  './vendor/prism/plugins/autoloader/prism-autoloader.min.js',
+  './vendor/prism/themes/prism-tomorrow.min.css',
+  ...PRISM_LANGUAGES.map(language => `./vendor/prism/components/prism-${language}.min.js`),
+  './vendor/katex/katex.min.js',
+  './vendor/katex/katex.min.css',
+  // KaTeX's stylesheet lists woff2 first, which every supported browser loads
+  ...KATEX_FONTS.map(font => `./vendor/katex/fonts/${font}.woff2`),
 ];
 
+let activeCacheName = null;
+
+async function readMeta(key) {
+  const meta = await caches.open(META_CACHE);
+  const entry = await meta.match(key);
+  return entry ? entry.text() : null;
+}
+
+async function writeMeta(key, value) {
+  const meta = await caches.open(META_CACHE);
+  return value === null ? meta.delete(key) : meta.put(key, new Response(value));
+}
+
+async function getActiveCacheName() {
+  if (!activeCacheName) {
+    activeCacheName = await readMeta(ACTIVE_CACHE_KEY);
+  }
+  return activeCacheName;
+}
+
+async function setActiveCacheName(cacheName) {
+  await writeMeta(ACTIVE_CACHE_KEY, cacheName);
+  activeCacheName = cacheName;
+}
+
+// Name of the cache for the version currently deployed
+async function fetchVersion() {
+  const response = await fetch(VERSION_URL, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`${VERSION_URL}: HTTP ${response.status}`);
+  }
+  const { version } = await response.json();
+  if (typeof version !== 'string' || !version.trim()) {
+    throw new Error(`${VERSION_URL}: missing "version"`);
+  }
+  return CACHE_PREFIX + version.trim();
+}
+
+// Fetch every precached file fresh into the cache for `cacheName`, unless it is already there
+async function buildVersionedCache(cacheName) {
+  if (await caches.has(cacheName)) return cacheName;
+
+  const responses = await Promise.all(urlsToCache.map(async (url) => {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    return response;
+  }));
+
+  const cache = await caches.open(cacheName);
+  try {
+    await Promise.all(responses.map((response, index) => cache.put(urlsToCache[index], response)));
+  } catch (error) {
+    // Never leave a half-filled cache behind under a valid version name
+    await caches.delete(cacheName);
+    throw error;
+  }
+  return cacheName;
+}
+
+// Drop every versioned cache except the active one and those waiting to be used
+async function deleteStaleCaches() {
+  const keep = [META_CACHE, await getActiveCacheName(), await readMeta(INSTALLED_CACHE_KEY), await readMeta(AVAILABLE_CACHE_KEY)];
+  const cacheNames = await caches.keys();
+  return Promise.all(cacheNames.map((cacheName) => {
+    if (!keep.includes(cacheName)) {
+      console.log('Deleting old cache:', cacheName);
+      return caches.delete(cacheName);
+    }
+  }));
+}
+
 // Install event - cache the specified resources
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache).catch(error => {
-          console.error('Failed to cache resources:', error);
-        });
+    fetchVersion()
+      .then(buildVersionedCache)
+      .then((cacheName) => {
+        console.log('Opened cache', cacheName);
+        return writeMeta(INSTALLED_CACHE_KEY, cacheName);
+      })
+      .catch(error => {
+        console.error('Failed to cache resources:', error);
       })
   );
 });
@@ -28,18 +152,9 @@ self.addEventListener('fetch', (event) => {
 
   if (url.origin === self.location.origin) {
     // Handle requests to our own origin (HTML, CSS, JS, images)
-    event.respondWith(
-      caches.match(event.request)
-        .then((response) => {
-          // Return cached version if available, otherwise fetch from network
-          return response || fetch(event.request);
-        })
-        .catch(error => {
-          console.error('Fetch failed:', error);
-          // This fallback should only happen for our own assets in case of network issues
-          return caches.match('/index.html');
-        })
-    );
+    if (event.request.method === 'GET') {
+      event.respondWith(serveFromCache(event.request));
+    }
   } else {
     // For external requests (like API calls), always try network first
     event.respondWith(
@@ -47,31 +162,90 @@ self.addEventListener('fetch', (event) => {
         .catch(() => {
           // For external resources, return network error if not available in cache
           console.log(`Could not fetch ${event.request.url}, and no fallback available`);
-          // Return a basic response for API errors that the app can handle
-          if (event.request.url.includes('puter.com') || event.request.url.includes('puter.ai')) {
-            return new Response(JSON.stringify({ error: "offline" }), {
-              status: 503,
-              headers: { 'Content-Type': 'application/json' }
-            });
-          }
-          return new Response('Network Error', { status: 503 });
+          // The page recognises this body (isOfflineResponse in script.js) for Puter and the
+          // direct API providers alike, and classifies it as a network error
+          return new Response(JSON.stringify({ error: "offline" }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+          });
         })
     );
   }
 });
 
-// Activate event - clean up old caches
+async function serveFromCache(request) {
+  const cacheName = await getActiveCacheName();
+  const cache = cacheName ? await caches.open(cacheName) : null;
+  const cached = cache ? await cache.match(request, { ignoreSearch: request.mode === 'navigate' }) : null;
+  // Return cached version if available, otherwise fetch from network
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (cache && response.ok && new URL(request.url).pathname.includes('/vendor/')) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    console.error('Fetch failed:', error);
+    // This fallback should only happen for our own assets in case of network issues
+    const fallback = cache && request.mode === 'navigate' ? await cache.match('./index.html') : null;
+    return fallback || Response.error();
+  }
+}
+
+// Activate event - switch to the cache this worker installed and clean up old caches
 self.addEventListener('activate', (event) => {
-  event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            console.log('Deleting old cache:', cacheName);
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
-  );
-});
\ No newline at end of file
+  event.waitUntil((async () => {
+    const installed = await readMeta(INSTALLED_CACHE_KEY);
+    if (installed) {
+      await setActiveCacheName(installed);
+      await writeMeta(INSTALLED_CACHE_KEY, null);
+    }
+    await deleteStaleCaches();
+    await self.clients.claim();
+  })());
+});
+
+// Precached files can change without sw.js changing, so pages ask for a check on load.
+// Only version.json is fetched unless it names a new version; that version is cached right
+// away but only served once the user chooses to reload.
+async function checkForUpdate(client) {
+  try {
+    const latest = await fetchVersion();
+    const active = await getActiveCacheName();
+    if (!active) {
+      await setActiveCacheName(await buildVersionedCache(latest));
+    } else if (latest !== active) {
+      await writeMeta(AVAILABLE_CACHE_KEY, await buildVersionedCache(latest));
+      client.postMessage({ type: 'update-available' });
+    }
+  } catch (error) {
+    // Offline or a file is missing: keep serving the active version
+    console.log('Update check failed:', error);
+  }
+}
+
+async function applyUpdate(client) {
+  const available = await readMeta(AVAILABLE_CACHE_KEY);
+  if (available) {
+    await setActiveCacheName(available);
+    await writeMeta(AVAILABLE_CACHE_KEY, null);
+    await deleteStaleCaches();
+  }
+  client.postMessage({ type: 'update-applied' });
+}
+
+self.addEventListener('message', (event) => {
+  switch (event.data?.type) {
+    case 'skip-waiting':
+      self.skipWaiting();
+      break;
+    case 'check-for-update':
+      event.waitUntil(checkForUpdate(event.source));
+      break;
+    case 'apply-update':
+      event.waitUntil(applyUpdate(event.source));
+      break;
+  }
+});
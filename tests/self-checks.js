@@ -0,0 +1,196 @@
+// Regression checks for logic that is easy to break without noticing, such as the sanitizer.
+// Each check gets the app's window and resolves to a list of failures ({ name, expected, actual }).
+const MARKDOWN_CORPUS_URL = './markdown-corpus.json';
+
+// ===== Helpers =====
+// Whitespace between tags that contains a line break is only layout (the code block template is indented)
+function normalizeHtml(html) {
+  return html.replace(/>\s*\n\s*</g, '><').trim();
+}
+
+// Code block toolbars change with every new action, so the corpus only pins the rendered content
+function withoutToolbars(app, html) {
+  const template = app.document.createElement('template');
+  template.innerHTML = html;
+  template.content.querySelectorAll('.code-actions').forEach(toolbar => toolbar.remove());
+  return template.innerHTML;
+}
+
+function compare(name, expected, actual) {
+  return actual === expected ? [] : [{ name, expected, actual }];
+}
+
+// ===== Markdown =====
+async function checkMarkdownCorpus(app) {
+  const response = await fetch(MARKDOWN_CORPUS_URL, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`${MARKDOWN_CORPUS_URL}: HTTP ${response.status}`);
+  }
+  const { cases } = await response.json();
+
+  return cases.flatMap(testCase => {
+    const html = testCase.rawHtml !== undefined ? app.sanitizeHtml(testCase.rawHtml) : app.parseMarkdown(testCase.markdown);
+    return compare(testCase.name, testCase.expected, normalizeHtml(withoutToolbars(app, html)));
+  });
+}
+
+const CODE_TOOLBAR_CASES = [
+  { name: 'plain code', markdown: '```\nx\n```', actions: ['toggle-wrap', 'toggle-line-numbers', 'download-code', 'copy-code'] },
+  { name: 'previewable code', markdown: '```html\n<p>x</p>\n```', actions: ['preview-code', 'toggle-wrap', 'toggle-line-numbers', 'download-code', 'copy-code'] },
+  { name: 'diagram', markdown: '```mermaid\ngraph TD; A-->B\n```', actions: ['toggle-diagram', 'download-diagram', 'toggle-wrap', 'toggle-line-numbers', 'download-code', 'copy-code'] },
+  { name: 'unclosed diagram fence', markdown: '```mermaid\ngraph TD; A-->B', actions: ['toggle-wrap', 'toggle-line-numbers', 'download-code', 'copy-code'] }
+];
+
+function checkCodeToolbars(app) {
+  return CODE_TOOLBAR_CASES.flatMap(testCase => {
+    const template = app.document.createElement('template');
+    template.innerHTML = app.parseMarkdown(testCase.markdown);
+    const actions = Array.from(template.content.querySelectorAll('.code-actions [data-action]'), button => button.dataset.action);
+    return compare(testCase.name, testCase.actions.join(', '), actions.join(', '));
+  });
+}
+
+// ===== Prompt templates =====
+// Template variables that shadow HTMLFormControlsCollection members must still read their own field
+function checkTemplateFieldNames(app) {
+  const variables = ['length', 'item', 'namedItem'];
+  const form = app.document.createElement('form');
+  form.innerHTML = variables.map(name => `<textarea name="${name}"></textarea>`).join('');
+  variables.forEach(name => { form.elements.namedItem(name).value = `<${name}>`; });
+
+  const content = variables.map(name => `{{${name}}}`).join(' ');
+  const expected = variables.map(name => `<${name}>`).join(' ');
+  return compare('shadowing variable names', expected, app.fillTemplate(content, app.readTemplateValues(form, variables)));
+}
+
+// ===== Dialogs =====
+// Escape closes a dialog without setting returnValue, as close() without an argument does.
+// The close event is queued, so give it a turn before looking at the outcome.
+async function closeDialog(dialog, returnValue) {
+  dialog.close(returnValue);
+  await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+// Runs `run` with some of the app's globals replaced, putting them back afterwards
+async function withStubs(app, stubs, run) {
+  const originals = Object.fromEntries(Object.keys(stubs).map(name => [name, app[name]]));
+  Object.assign(app, stubs);
+  try {
+    return await run();
+  } finally {
+    Object.assign(app, originals);
+  }
+}
+
+// Each dialog is confirmed once, then reopened and dismissed with Escape: its action must not run again.
+// `action` is the app function the close handler calls on confirm; it is stubbed so nothing is written.
+const DIALOG_ESCAPE_CASES = [
+  {
+    name: 'import',
+    dialogId: 'importDialog',
+    confirm: 'import',
+    action: 'applyWorkspaceImport',
+    result: { added: [], updated: [], removed: [] },
+    open: app => app.openImportDialog({ chats: [], attachments: [], personas: [], settings: {}, exportedAt: null })
+  },
+  {
+    name: 'new chat persona picker',
+    dialogId: 'personaPickerDialog',
+    confirm: 'none',
+    action: 'createNewChat',
+    // The picker only opens when there is a persona to pick
+    setup: app => app.eval("personas.push({ id: 'self-check', name: 'Self-check', systemPrompt: '' })"),
+    teardown: app => app.eval("personas = personas.filter(persona => persona.id !== 'self-check')"),
+    open: app => app.openNewChatPicker()
+  },
+  {
+    name: 'provider settings',
+    dialogId: 'providerDialog',
+    confirm: 'save',
+    action: 'saveProviderDialog',
+    open: app => app.openProviderDialog()
+  },
+  {
+    name: 'settings',
+    dialogId: 'settingsDialog',
+    confirm: 'save',
+    action: 'saveSettingsDialog',
+    open: app => app.openSettingsDialog()
+  },
+  {
+    name: 'export',
+    dialogId: 'exportDialog',
+    confirm: 'markdown',
+    action: 'exportConversation',
+    open: app => app.openExportDialog()
+  },
+  {
+    name: 'template variables',
+    dialogId: 'templateFillDialog',
+    confirm: 'insert',
+    action: 'submitTemplateFill',
+    open: app => app.applyTemplate({ id: 'self-check', name: 'self-check', content: 'Hello {{name}}' })
+  }
+];
+
+async function checkDialogEscape(app) {
+  const failures = [];
+  for (const testCase of DIALOG_ESCAPE_CASES) {
+    const dialog = app.document.getElementById(testCase.dialogId);
+    let calls = 0;
+    testCase.setup?.(app);
+    try {
+      await withStubs(app, { [testCase.action]: async () => { calls++; return testCase.result; }, alert: () => {} }, async () => {
+        await testCase.open(app);
+        await closeDialog(dialog, testCase.confirm);
+        await testCase.open(app);
+        await closeDialog(dialog);
+      });
+    } finally {
+      testCase.teardown?.(app);
+    }
+    failures.push(...compare(`${testCase.name}: ${testCase.action} calls`, '1', String(calls)));
+  }
+  return failures;
+}
+
+const SELF_CHECKS = [
+  { name: 'Markdown & sanitizer corpus', run: checkMarkdownCorpus },
+  { name: 'Code block toolbars', run: checkCodeToolbars },
+  { name: 'Template field lookup', run: checkTemplateFieldNames },
+  { name: 'Escape after confirming a dialog', run: checkDialogEscape }
+];
+
+// ===== Runner =====
+async function runSelfChecks(app) {
+  const results = [];
+  for (const check of SELF_CHECKS) {
+    try {
+      results.push({ check: check.name, failures: await check.run(app) });
+    } catch (error) {
+      results.push({ check: check.name, failures: [{ name: 'could not run', expected: '', actual: error.message }] });
+    }
+  }
+  return results;
+}
+
+function renderResults(results) {
+  const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  document.getElementById('results').innerHTML = results.map(({ check, failures }) => `
+    <tr>
+      <td>${escape(check)}</td>
+      <td class="${failures.length ? 'fail' : 'pass'}">${failures.length ? `${failures.length} failed` : 'pass'}</td>
+      <td>${failures.map(failure => `<strong>${escape(failure.name)}</strong>
+        <pre>expected: ${escape(failure.expected)}</pre><pre>actual:   ${escape(failure.actual)}</pre>`).join('')}</td>
+    </tr>`).join('');
+
+  const failed = results.filter(result => result.failures.length > 0).length;
+  document.getElementById('summary').textContent = failed ? `${failed} of ${results.length} checks failed.` : `All ${results.length} checks passed.`;
+}
+
+document.getElementById('app')?.addEventListener('load', async (e) => {
+  const app = e.target.contentWindow;
+  // The app initializes its storage after load; give it a moment before poking at it
+  await new Promise(resolve => setTimeout(resolve, 500));
+  renderResults(await runSelfChecks(app));
+});